@@ -0,0 +1,64 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen } from "@testing-library/react";
+import axe from "axe-core";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import App from "./App";
+
+// jsdom doesn't lay anything out or resolve CSS, so axe can't measure contrast here.
+const AXE_OPTIONS = { rules: { "color-contrast": { enabled: false } } };
+
+async function seriousViolations() {
+  const { violations } = await axe.run(document.body, AXE_OPTIONS);
+  return violations
+    .filter((violation) => violation.impact === "serious" || violation.impact === "critical")
+    .map((violation) => ({
+      id: violation.id,
+      targets: violation.nodes.map((node) => node.target.join(" ")),
+    }));
+}
+
+async function addItem(text) {
+  const input = screen.getByRole("textbox", { name: "New item" });
+  fireEvent.change(input, { target: { value: text } });
+  await act(async () => fireEvent.submit(input.closest("form")));
+}
+
+describe("accessibility", () => {
+  beforeEach(async () => {
+    window.localStorage.clear();
+    await act(async () => render(<App />));
+    await addItem("Buy milk #home tomorrow");
+    await addItem("Call dentist !high");
+  });
+
+  afterEach(cleanup);
+
+  it("has no serious axe violations on the list and the sign-in form", async () => {
+    expect(screen.getByRole("checkbox", { name: /Buy milk/ })).toBeTruthy();
+    expect(await seriousViolations()).toEqual([]);
+  });
+
+  it("has no serious axe violations with the quick-add chips showing", async () => {
+    fireEvent.change(screen.getByRole("textbox", { name: "New item" }), {
+      target: { value: "Water plants every Mon #garden" },
+    });
+    expect(await seriousViolations()).toEqual([]);
+  });
+
+  it("has no serious axe violations with each panel open", async () => {
+    const panels = ["Stats", "Manage tags", "Import / Export"];
+    for (const name of panels) {
+      await act(async () => fireEvent.click(screen.getByRole("button", { name })));
+      expect({ panel: name, violations: await seriousViolations() }).toEqual({
+        panel: name,
+        violations: [],
+      });
+    }
+  });
+
+  it("has no serious axe violations in the command palette", async () => {
+    await act(async () => fireEvent.keyDown(window, { key: "k", ctrlKey: true }));
+    expect(screen.getByRole("dialog")).toBeTruthy();
+    expect(await seriousViolations()).toEqual([]);
+  });
+});
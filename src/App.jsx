@@ -5,6 +5,8 @@ import {
   DndContext,
   closestCenter,
   DragOverlay,
+  KeyboardSensor,
+  MeasuringStrategy,
   PointerSensor,
   TouchSensor,
   useSensor,
@@ -15,70 +17,286 @@ import {
   SortableContext,
   verticalListSortingStrategy,
   arrayMove,
+  sortableKeyboardCoordinates,
 } from "@dnd-kit/sortable";
 
 import SortableTodoItem from "./components/SortableTodoItem";
+import ActivityFeed from "./components/ActivityFeed";
+import Clock from "./components/Clock";
+import CommandPalette from "./components/CommandPalette";
+import ItemDetail from "./components/ItemDetail";
+import ListSidebar from "./components/ListSidebar";
+import SharePanel from "./components/SharePanel";
+import StatsPanel from "./components/StatsPanel";
+import MergeReview from "./components/MergeReview";
+import QuickAddChips from "./components/QuickAddChips";
+import ResendButton from "./components/ResendButton";
+import TagManager from "./components/TagManager";
+import TransferPanel from "./components/TransferPanel";
+import TrashView from "./components/TrashView";
 import { supabase } from "./lib/supabaseClient";
-
-const TABLE_NAME = "todos";
-// Supabase column names in your schema
-const COL_CONTENT = "title";
-const COL_COMPLETED = "completed";
-const LOCAL_STORAGE_KEY = "todo-guest-items";
+import { activityFromChanges, appendActivity } from "./lib/activity";
+import {
+  CODE_LENGTH,
+  describeAuthError,
+  linkErrorFromUrl,
+  nextResendAt,
+  normalizeCode,
+  resendWait,
+  sendSignInEmail,
+  verifySignInCode,
+} from "./lib/auth";
+import { findDueReminders, reminderKey } from "./lib/dueDates";
+import { PRIORITY_LABELS } from "./lib/priorities";
+import { nextOccurrence, normalizeRecurrence } from "./lib/recurrence";
+import {
+  createDeviceRepository,
+  createSupabaseRepository,
+  getStorageBackend,
+} from "./lib/repositories";
+import { readStoredArray, writeStoredArray } from "./lib/storage";
+import { applyPendingRows, getRowStates, loadOutbox, runOperation } from "./lib/syncQueue";
+import useSyncQueue from "./lib/useSyncQueue";
+import useListWindow from "./lib/useListWindow";
+import useNow from "./lib/useNow";
+import { escapeQuickAddParts, parseQuickAdd } from "./lib/quickAdd";
+import { findDuplicates, planGuestMerge } from "./lib/guestMerge";
+import { applyHistoryChanges, diffItems, pushHistory } from "./lib/history";
+import { assignPositions } from "./lib/positions";
+import { splitTrash } from "./lib/trash";
+import { isEmptyQuery, matchesQuery, parseQuery } from "./lib/search";
+import { SORT_MODES, sortItems } from "./lib/sorting";
+import {
+  findTagByName,
+  matchesTagFilter,
+  nextTagColor,
+  normalizeTagName,
+  replaceTagId,
+} from "./lib/tags";
+import {
+  buildRows,
+  getAncestorIds,
+  getDescendantIds,
+  indentItem,
+  moveSubtree,
+  moveSubtrees,
+  moveToEdge,
+  orderTree,
+  outdentItem,
+  projectDrop,
+  selectionRoots,
+} from "./lib/tree";
+
+const STORAGE_BACKEND = getStorageBackend();
+const COLLAPSED_STORAGE_KEY = "todo-collapsed";
+// horizontal drag distance that counts as one level of nesting
+const INDENT_WIDTH = 28;
+const PAST_TENSE = { Delete: "Deleted", Import: "Imported", Restore: "Restored" };
+const DEFAULT_LIST_NAME = "My list";
+const FILTER_KEYS = { 1: "all", 2: "active", 3: "completed" };
+const MOD_KEY =
+  typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform) ? "⌘" : "Ctrl+";
 const REDIRECT_TO =
   typeof window !== "undefined" && window.location?.origin
     ? `${window.location.origin}/`
     : undefined;
 
-function hasLocalStorage() {
-  return typeof window !== "undefined" && typeof window.localStorage !== "undefined";
+// Positions follow array order within each list; only items that moved get a new one.
+function positionItems(itemsList) {
+  return assignPositions(itemsList, (item) => item.listId);
+}
+
+function positionLists(listsList) {
+  return assignPositions(listsList);
 }
 
-function reindex(itemsList) {
-  return itemsList.map((item, index) => ({ ...item, position: index }));
+// The records to send after a change: new and edited ones, not the untouched rest.
+function changedRecords(prevRecords, nextRecords) {
+  return diffItems(prevRecords, nextRecords)
+    .map((change) => change.after)
+    .filter(Boolean);
 }
 
+// Open items first at every level of the tree, subtasks right under their parent.
 function orderByCompletion(itemsList) {
-  const actives = itemsList.filter((item) => !item.isCompleted);
-  const completed = itemsList.filter((item) => item.isCompleted);
-  return reindex([...actives, ...completed]);
+  return positionItems(orderTree(itemsList));
 }
 
-function loadGuestItems() {
-  if (!hasLocalStorage()) return [];
-  const raw = window.localStorage.getItem(LOCAL_STORAGE_KEY);
-  if (!raw) return [];
-  try {
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch {
-    return [];
+// Ids are created on the client so queued writes can be replayed as idempotent upserts.
+function generateLocalId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(
+      16,
+      20
+    )}-${hex.slice(20)}`;
   }
+  return `local-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 }
 
-function persistGuestItems(nextItems) {
-  if (!hasLocalStorage()) return;
-  try {
-    window.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(nextItems));
-  } catch {
-    // ignore storage write errors
-  }
+// Completing a repeating item leaves it done and puts its next occurrence in front of it;
+// the rule moves along, so reopening the done one doesn't spawn another copy.
+// `by` is who did it, which the server records too; shown on shared lists.
+// `completedAt` is when, kept from the first time for an item that was already done.
+function setCompleted(itemsList, ids, isCompleted, by = null) {
+  const now = new Date().toISOString();
+  return itemsList.flatMap((item) => {
+    if (!ids.has(item.id)) return [item];
+    const completedBy = isCompleted ? by : null;
+    const completedAt = isCompleted ? (item.isCompleted && item.completedAt) || now : null;
+    if (!isCompleted || item.isCompleted || !item.recurrence) {
+      return [{ ...item, isCompleted, completedBy, completedAt }];
+    }
+    const next = {
+      ...item,
+      id: generateLocalId(),
+      isCompleted: false,
+      position: null,
+      dueAt: nextOccurrence(item.recurrence, item.dueAt, new Date()).toISOString(),
+      createdAt: now,
+      createdBy: by,
+      completedBy: null,
+      completedAt: null,
+    };
+    return [next, { ...item, isCompleted: true, completedBy, completedAt, recurrence: null }];
+  });
 }
 
-function clearGuestItems() {
-  if (!hasLocalStorage()) return;
-  window.localStorage.removeItem(LOCAL_STORAGE_KEY);
+// Rows keep focus on their text, which already handles Enter and Tab.
+function focusItem(id) {
+  const row = document.querySelector(`[data-item-id="${CSS.escape(id)}"]`);
+  const text = row?.querySelector(".todo-text");
+  if (!text) return false;
+  text.focus();
+  text.scrollIntoView({ block: "nearest" });
+  return true;
 }
 
-function generateLocalId() {
-  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
-  return `local-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+function countLabel(count) {
+  return `${count} ${count === 1 ? "item" : "items"}`;
 }
 
-export default function App() {
-  const [now, setNow] = useState(new Date());
+// dragging a selected row takes the rest of the selection along
+function dragGroupIds(itemsList, selectedIds, id) {
+  const rootIds = selectionRoots(itemsList, selectedIds).map((item) => item.id);
+  return rootIds.length > 1 && rootIds.includes(id) ? rootIds : [id];
+}
+
+const DRAG_INSTRUCTIONS = {
+  draggable:
+    "To reorder, press Space or Enter on the handle, move with the up and down arrow keys, " +
+    "then press Space or Enter again to drop, or Escape to cancel.",
+};
+
+// Lists shared by someone else carry their owner's id; a guest's lists have none.
+function ownsList(list, userId) {
+  return !list.ownerId || list.ownerId === userId;
+}
+
+// Tags on shared items can be someone else's: shown, but never renamed or reused by name.
+function ownsTag(tag, userId) {
+  return !tag.ownerId || tag.ownerId === userId;
+}
+
+// "you", or a shared list member's email; guests have no name to show
+function personName(id, userId, emails) {
+  if (!id) return "";
+  return id === userId ? "you" : emails.get(id) ?? "someone";
+}
+
+// "added by ana@example.com · done by you", for lists more than one person works on
+function describeAuthors(item, userId, emails) {
+  const name = (id) => personName(id, userId, emails);
+  const parts = [];
+  if (item.createdBy) parts.push(`added by ${name(item.createdBy)}`);
+  if (item.isCompleted && item.completedBy) parts.push(`done by ${name(item.completedBy)}`);
+  return parts.join(" · ");
+}
+
+// Leaving a list, or being removed from it, also drops who else was on it.
+function withoutMember(membersList, member, userId) {
+  return member.userId === userId
+    ? membersList.filter((m) => m.listId !== member.listId)
+    : membersList.filter((m) => m.id !== member.id);
+}
 
-  const [items, setItems] = useState(() => reindex(loadGuestItems()));
+function createDefaultList() {
+  return { id: generateLocalId(), name: DEFAULT_LIST_NAME, position: 0 };
+}
+
+// Guest data saved before lists existed has no listId; it goes to the first list.
+// `expiredIds` is trash that's past its time, for the caller to delete.
+function loadDeviceState(repository) {
+  const storedLists = normalizeLists(repository.snapshot("lists"));
+  const lists = storedLists.length ? storedLists : [createDefaultList()];
+  const listIds = new Set(lists.map((list) => list.id));
+  const stored = splitTrash(repository.snapshot("items"));
+  const items = orderByCompletion(
+    normalizeRows(stored.items).map((item) =>
+      listIds.has(item.listId) ? item : { ...item, listId: lists[0].id }
+    )
+  );
+  return {
+    lists,
+    items,
+    trash: stored.trash.filter((item) => listIds.has(item.listId)),
+    expiredIds: stored.expiredIds,
+    tags: repository.snapshot("tags"),
+    activity: appendActivity([], repository.snapshot("activity")),
+  };
+}
+
+function byPosition(a, b) {
+  return a.position - b.position;
+}
+
+function normalizeRows(records) {
+  return [...records].sort(byPosition);
+}
+
+function normalizeLists(records) {
+  return positionLists([...records].sort(byPosition));
+}
+
+// Realtime changes arrive one row at a time; slot each into place by its server position.
+function mergeRemoteItem(itemsList, remoteItem, editingId) {
+  const existing = itemsList.find((item) => item.id === remoteItem.id);
+  // keep the text the user started editing from, the edit box owns it until commit
+  const merged =
+    existing && existing.id === editingId ? { ...remoteItem, content: existing.content } : remoteItem;
+  const nextItems = existing
+    ? itemsList.map((item) => (item.id === merged.id ? merged : item))
+    : [...itemsList, merged];
+  return orderByCompletion([...nextItems].sort(byPosition));
+}
+
+function mergeRemoteList(listsList, remoteList) {
+  const exists = listsList.some((list) => list.id === remoteList.id);
+  const nextLists = exists
+    ? listsList.map((list) => (list.id === remoteList.id ? remoteList : list))
+    : [...listsList, remoteList];
+  return positionLists([...nextLists].sort(byPosition));
+}
+
+export default function App() {
+  // due dates, reminders and the trash only need the minute; the header clock ticks by itself
+  const now = useNow(60 * 1000);
+
+  // the store for guests, or for everybody when the page runs on local or memory storage
+  const [deviceRepository] = useState(() => createDeviceRepository(STORAGE_BACKEND));
+  const [initialDeviceState] = useState(() => loadDeviceState(deviceRepository));
+  const [lists, setLists] = useState(initialDeviceState.lists);
+  const [tags, setTags] = useState(initialDeviceState.tags);
+  const [tagFilter, setTagFilter] = useState([]);
+  const [isManagingTags, setIsManagingTags] = useState(false);
+  const [search, setSearch] = useState("");
+  const [isTransferOpen, setIsTransferOpen] = useState(false);
+  const [items, setItems] = useState(initialDeviceState.items);
+  const [activeListId, setActiveListId] = useState(initialDeviceState.lists[0].id);
 
   const [filter, setFilter] = useState("all");
   const [draft, setDraft] = useState("");
@@ -89,7 +307,10 @@ export default function App() {
   const [activeId, setActiveId] = useState(null);
   const [session, setSession] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [authError, setAuthError] = useState("");
+  // a magic link that failed comes back with the reason in the URL
+  const [authError, setAuthError] = useState(() =>
+    typeof window !== "undefined" ? linkErrorFromUrl(window.location) : ""
+  );
   const [authNotice, setAuthNotice] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
@@ -97,16 +318,71 @@ export default function App() {
   const [confirmPassword, setConfirmPassword] = useState("");
   const [dataError, setDataError] = useState("");
   const [authMode, setAuthMode] = useState("signIn");
+  // passwordless sign-in: "link" or "code", when another email may go out, and the code typed so far
+  const [signInMethod, setSignInMethod] = useState("link");
+  const [resendAt, setResendAt] = useState(null);
+  const [signInCode, setSignInCode] = useState("");
+  const [isAuthBusy, setIsAuthBusy] = useState(false);
   const [isResettingPassword, setIsResettingPassword] = useState(false);
-
-  const hasSupabase = Boolean(supabase);
+  const [openedAt] = useState(() => Date.now());
+  const [dismissedReminders, setDismissedReminders] = useState(() => new Set());
+  const [history, setHistory] = useState({ undo: [], redo: [] });
+  const [toast, setToast] = useState(null);
+  const [collapsedIds, setCollapsedIds] = useState(
+    () => new Set(readStoredArray(COLLAPSED_STORAGE_KEY))
+  );
+  const [dragProjection, setDragProjection] = useState(null);
+  const [mergeReview, setMergeReview] = useState(null);
+  // the anchor is where a shift-click range starts
+  const [selection, setSelection] = useState(() => ({ ids: new Set(), anchorId: null }));
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  // anything but "manual" only changes how rows are shown, never their stored position
+  const [sortMode, setSortMode] = useState("manual");
+  const isManualSort = sortMode === "manual";
+  const [detailId, setDetailId] = useState(null);
+  // people on shared lists, including the owners; only loaded for an account
+  const [members, setMembers] = useState([]);
+  const [isSharing, setIsSharing] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [activity, setActivity] = useState(initialDeviceState.activity);
+  // deleted items, out of `items` until they're restored
+  const [trash, setTrash] = useState(initialDeviceState.trash);
+  const [isActivityOpen, setIsActivityOpen] = useState(false);
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+
+  const hasSupabase = STORAGE_BACKEND === "supabase";
+  const userId = hasSupabase ? session?.user.id ?? null : null;
+  // a signed-in user's data lives on the server; null while browsing as a guest
+  const remoteRepository = useMemo(
+    () => (userId ? createSupabaseRepository(supabase, userId) : null),
+    [userId]
+  );
+  const syncQueue = useSyncQueue(remoteRepository, userId);
+  const enqueueSync = syncQueue.enqueue;
   const hadSessionRef = useRef(false);
-
+  const notifiedRef = useRef(new Set());
+  const editingIdRef = useRef(null);
+  const shortcutsRef = useRef(null);
+  const draftInputRef = useRef(null);
+  // an item to focus once it has rendered, e.g. after jumping to it from the palette
+  const focusRequestRef = useRef(null);
+  const rowSyncStatesRef = useRef(new Map());
+  const membersRef = useRef([]);
+  const tagsRef = useRef([]);
+
+  // the reason is shown now, so a reload shouldn't show it again
   useEffect(() => {
-    const interval = setInterval(() => setNow(new Date()), 1000);
-    return () => clearInterval(interval);
+    if (linkErrorFromUrl(window.location)) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
   }, []);
 
+  // a guest's trash empties itself when the app opens; an account's does in loadAndMerge
+  useEffect(() => {
+    const { expiredIds } = initialDeviceState;
+    if (expiredIds.length) deviceRepository.delete("items", expiredIds);
+  }, [deviceRepository, initialDeviceState]);
+
   useEffect(() => {
     if (!hasSupabase) return undefined;
 
@@ -117,9 +393,15 @@ export default function App() {
       setSession(data.session);
       hadSessionRef.current = Boolean(data.session);
       if (!data.session && hadSession) {
-        setItems([]);
+        const next = loadDeviceState(deviceRepository);
+        setItems(next.items);
+        setLists(next.lists);
+        setTags(next.tags);
+        setActivity(next.activity);
+        setTrash(next.trash);
+        setMergeReview(null);
+        setMembers([]);
         setIsLoading(false);
-        clearGuestItems();
       }
     });
 
@@ -129,9 +411,15 @@ export default function App() {
         setSession(nextSession);
         hadSessionRef.current = Boolean(nextSession);
         if (!nextSession && hadSession) {
-          setItems([]);
+          const next = loadDeviceState(deviceRepository);
+          setItems(next.items);
+          setLists(next.lists);
+          setTags(next.tags);
+          setActivity(next.activity);
+          setTrash(next.trash);
+          setMergeReview(null);
+          setMembers([]);
           setIsLoading(false);
-          clearGuestItems();
         }
         if (_event === "PASSWORD_RECOVERY") {
           setIsResettingPassword(true);
@@ -148,104 +436,441 @@ export default function App() {
       ignore = true;
       authListener.subscription?.unsubscribe();
     };
-  }, [hasSupabase]);
+  }, [deviceRepository, hasSupabase]);
 
-  // Sensors: mouse/trackpad + touch
+  // Sensors: mouse/trackpad + touch + keyboard (Space or Enter on a handle, then arrows)
   const sensors = useSensors(
     useSensor(PointerSensor, { activationConstraint: { distance: 4 } }),
-    useSensor(TouchSensor, { activationConstraint: { delay: 80, tolerance: 8 } })
+    useSensor(TouchSensor, { activationConstraint: { delay: 80, tolerance: 8 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
   );
 
+  const activeList = lists.find((list) => list.id === activeListId) || lists[0] || null;
+  const currentListId = activeList?.id ?? null;
+
+  const viewOnlyListIds = useMemo(
+    () =>
+      new Set(
+        members
+          .filter((member) => member.userId === userId && member.role === "viewer")
+          .map((member) => member.listId)
+      ),
+    [members, userId]
+  );
+  const sharedListIds = useMemo(
+    () => new Set(members.filter((member) => member.role !== "owner").map((member) => member.listId)),
+    [members]
+  );
+  const memberEmails = useMemo(
+    () => new Map(members.map((member) => [member.userId, member.email])),
+    [members]
+  );
+  const listNames = useMemo(() => new Map(lists.map((list) => [list.id, list.name])), [lists]);
+  const ownTags = useMemo(() => tags.filter((tag) => ownsTag(tag, userId)), [tags, userId]);
+  const listActivity = useMemo(
+    () => activity.filter((entry) => entry.listId === currentListId),
+    [activity, currentListId]
+  );
+  // nothing changes before an account has loaded, or writes would go to lists it hasn't got
+  const isDataReady = !remoteRepository || (!isLoading && !dataError);
+  const canEditList = isDataReady && !viewOnlyListIds.has(currentListId);
+  const isTrashView = filter === "trash";
+  const trashCount = trash.filter((item) => item.listId === currentListId).length;
+  const isSharedList = sharedListIds.has(currentListId);
+  const isListOwner = !activeList || ownsList(activeList, userId);
+
+  // "Call dentist tomorrow 3pm !high #health" fills in the due date, priority and tags
+  const quickAdd = useMemo(() => parseQuickAdd(draft, { now }), [draft, now]);
+
   function handleSubmit(e) {
     e.preventDefault();
-    const content = draft.trim();
-    if (!content) return;
-
-    const firstCompletedIndex = items.findIndex((i) => i.isCompleted);
-    const insertIndex = firstCompletedIndex === -1 ? items.length : firstCompletedIndex;
-
-    if (!session || !hasSupabase) {
-      const newItem = {
-        id: generateLocalId(),
-        content,
-        isCompleted: false,
-        position: insertIndex,
-      };
-      const nextItems = [...items];
-      nextItems.splice(insertIndex, 0, newItem);
-      syncAll(nextItems);
-      setDraft("");
-      return;
+    // parsed again so a due time like "in 2 days" counts from now, not the last clock tick
+    const { content, dueAt, priority, tagNames, recurrence } = parseQuickAdd(draft);
+    if (!content || !currentListId) return;
+
+    const nextTags = [...ownTags];
+    const tagIds = tagNames.map((name) => {
+      let tag = findTagByName(nextTags, name);
+      if (!tag) {
+        tag = { id: generateLocalId(), name: normalizeTagName(name), color: nextTagColor(nextTags) };
+        nextTags.push(tag);
+      }
+      return tag.id;
+    });
+    if (nextTags.length > ownTags.length) syncTags([...tags, ...nextTags.slice(ownTags.length)]);
+
+    const newItem = {
+      id: generateLocalId(),
+      content,
+      isCompleted: false,
+      position: null,
+      listId: currentListId,
+      dueAt,
+      parentId: null,
+      recurrence,
+      priority,
+      tagIds,
+      notes: "",
+      createdAt: new Date().toISOString(),
+      createdBy: userId,
+      completedAt: null,
+    };
+    recordChange(orderByCompletion([...items, newItem]), `Add “${content}”`);
+    setDraft("");
+    if (isTrashView) setFilter("all");
+  }
+
+  function handleToggle(id, isCompleted) {
+    const target = items.find((item) => item.id === id);
+    if (!target) return;
+
+    const toggledIds = new Set([id]);
+    if (isCompleted) {
+      const openSubtaskIds = getDescendantIds(items, id).filter(
+        (subId) => !items.find((item) => item.id === subId)?.isCompleted
+      );
+      if (
+        openSubtaskIds.length &&
+        window.confirm(
+          `Also complete ${openSubtaskIds.length} open ${
+            openSubtaskIds.length === 1 ? "subtask" : "subtasks"
+          } of “${target.content}”?`
+        )
+      ) {
+        openSubtaskIds.forEach((subId) => toggledIds.add(subId));
+      }
     }
 
-      supabase
-        .from(TABLE_NAME)
-        .insert([
-          {
-            [COL_CONTENT]: content,
-            [COL_COMPLETED]: false,
-            position: insertIndex,
-            user_id: session.user.id,
-          },
-        ])
-      .select()
-      .then(({ data, error }) => {
-        if (error) {
-          setDataError(error.message);
-          return;
-        }
-        const inserted = data?.[0];
-        if (!inserted) return;
-        const newItem = {
-          id: inserted.id,
-          content: inserted[COL_CONTENT],
-          isCompleted: inserted[COL_COMPLETED],
-          position: insertIndex,
-        };
-        const nextItems = [...items];
-        nextItems.splice(insertIndex, 0, newItem);
-        syncAll(nextItems);
-        setDraft("");
-      });
+    recordChange(
+      orderByCompletion(setCompleted(items, toggledIds, isCompleted, userId)),
+      `${isCompleted ? "Complete" : "Reopen"} “${target.content}”`
+    );
   }
 
-  function handleToggle(id, isCompleted) {
-    setItems((prev) => {
-      const updated = prev.map((item) => {
-        if (item.id !== id) return item;
-        return { ...item, isCompleted };
-      });
-      const actives = updated.filter((i) => !i.isCompleted);
-      const completed = updated.filter((i) => i.isCompleted);
-      const nextItems = [...actives, ...completed];
-      syncAll(nextItems);
-      return nextItems;
+  function handleDelete(id) {
+    const target = items.find((item) => item.id === id);
+    if (!target) return;
+
+    // subtasks go with their parent
+    const deletedIds = [id, ...getDescendantIds(items, id)];
+    focusAfterRemoving(new Set(deletedIds), id);
+    moveToTrash(deletedIds);
+
+    const subtaskCount = deletedIds.length - 1;
+    recordChange(
+      items.filter((item) => !deletedIds.includes(item.id)),
+      subtaskCount
+        ? `Delete “${target.content}” and ${subtaskCount} ${subtaskCount === 1 ? "subtask" : "subtasks"}`
+        : `Delete “${target.content}”`,
+      { toast: true, trash: true }
+    );
+  }
+
+  // Both return false when there's nothing to do, so Tab can fall back to moving focus.
+  // Both also go by manual order, which a sorted view doesn't show, so they're off there.
+  function handleIndent(id) {
+    if (!isManualSort) return false;
+    const nextItems = indentItem(items, id);
+    if (!nextItems) return false;
+    const parentId = nextItems.find((item) => item.id === id)?.parentId;
+    if (parentId) expandItem(parentId);
+    recordChange(nextItems, `Indent “${items.find((item) => item.id === id).content}”`);
+    return true;
+  }
+
+  function handleOutdent(id) {
+    if (!isManualSort) return false;
+    const nextItems = outdentItem(items, id);
+    if (!nextItems) return false;
+    recordChange(nextItems, `Outdent “${items.find((item) => item.id === id).content}”`);
+    return true;
+  }
+
+  function toggleCollapsed(id) {
+    setCollapsedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      writeStoredArray(COLLAPSED_STORAGE_KEY, [...next]);
+      return next;
     });
   }
 
-  function handleDelete(id) {
-    if (hasSupabase && session) {
-      supabase
-        .from(TABLE_NAME)
-        .delete()
-        .eq("id", id)
-        .then(({ error }) => {
-          if (error) setDataError(error.message);
-        });
+  function expandItem(id) {
+    if (collapsedIds.has(id)) toggleCollapsed(id);
+  }
+
+  const searchQuery = useMemo(() => parseQuery(search), [search]);
+  const isSearching = !isEmptyQuery(searchQuery);
+
+  const visibleRows = useMemo(() => {
+    const listItems = sortItems(
+      items.filter((i) => i.listId === currentListId),
+      sortMode
+    );
+    // while searching, matches inside collapsed parents should still show up
+    const rows = buildRows(listItems, isSearching ? new Set() : collapsedIds).filter(
+      (row) => matchesTagFilter(row.item, tagFilter) && matchesQuery(row.item, searchQuery)
+    );
+    if (filter === "trash") return [];
+    if (filter === "active") return rows.filter((row) => !row.item.isCompleted);
+    if (filter === "completed") return rows.filter((row) => row.item.isCompleted);
+    return rows;
+  }, [filter, items, currentListId, collapsedIds, tagFilter, isSearching, searchQuery, sortMode]);
+
+  // rows that are hidden or in another list drop out of the selection
+  const selectedIds = useMemo(
+    () => visibleRows.filter((row) => selection.ids.has(row.item.id)).map((row) => row.item.id),
+    [selection, visibleRows]
+  );
+
+  const draggedIds = useMemo(
+    () => (activeId ? dragGroupIds(items, selectedIds, activeId) : []),
+    [activeId, items, selectedIds]
+  );
+
+  // a dragged parent carries its subtree, so those rows sit out of the drag
+  const dragRows = useMemo(() => {
+    if (!activeId) return visibleRows;
+    const hiddenIds = new Set(draggedIds.flatMap((id) => [id, ...getDescendantIds(items, id)]));
+    hiddenIds.delete(activeId);
+    return visibleRows.filter((row) => !hiddenIds.has(row.item.id));
+  }, [activeId, draggedIds, items, visibleRows]);
+
+  const dragRowIds = useMemo(() => dragRows.map((row) => row.item.id), [dragRows]);
+  // the dragged row stays rendered even once it scrolls out of view
+  const keptRowIds = useMemo(() => (activeId ? [activeId] : []), [activeId]);
+  const { listRef: todoListRef, slots: listSlots, scrollToRow } = useListWindow(dragRowIds, {
+    keepIds: keptRowIds,
+  });
+
+  function handleSelect(id, { range, toggle }) {
+    const rowIds = visibleRows.map((row) => row.item.id);
+    const anchorIndex = rowIds.indexOf(selection.anchorId);
+    if (range && anchorIndex !== -1) {
+      const index = rowIds.indexOf(id);
+      const rangeIds = rowIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1);
+      setSelection({
+        ids: new Set(toggle ? [...selectedIds, ...rangeIds] : rangeIds),
+        anchorId: selection.anchorId,
+      });
+      return;
     }
+    const ids = new Set(toggle || range ? selectedIds : []);
+    if (ids.has(id)) ids.delete(id);
+    else ids.add(id);
+    setSelection({ ids, anchorId: id });
+  }
 
-    setItems((prev) => {
-      const nextItems = prev.filter((item) => item.id !== id);
-      syncAll(nextItems);
-      return nextItems;
-    });
+  function selectAll() {
+    if (!visibleRows.length) return;
+    setSelection({ ids: new Set(visibleRows.map((row) => row.item.id)), anchorId: visibleRows[0].item.id });
+  }
+
+  function clearSelection() {
+    if (selection.ids.size) setSelection({ ids: new Set(), anchorId: null });
+  }
+
+  function handleBulkComplete(isCompleted) {
+    const changedIds = new Set(
+      items
+        .filter((item) => selectedIds.includes(item.id) && item.isCompleted !== isCompleted)
+        .map((item) => item.id)
+    );
+    if (!changedIds.size) return;
+    recordChange(
+      orderByCompletion(setCompleted(items, changedIds, isCompleted, userId)),
+      `${isCompleted ? "Complete" : "Reopen"} ${countLabel(changedIds.size)}`
+    );
   }
 
-  const visibleItems = useMemo(() => {
-    if (filter === "active") return items.filter((i) => !i.isCompleted);
-    if (filter === "completed") return items.filter((i) => i.isCompleted);
-    return items;
-  }, [filter, items]);
+  function handleBulkDelete() {
+    if (!selectedIds.length) return;
+    // subtasks go with their parent, selected or not
+    const deletedIds = new Set(selectedIds.flatMap((id) => [id, ...getDescendantIds(items, id)]));
+    const focusedRow = document.activeElement?.closest?.("[data-item-id]");
+    focusAfterRemoving(deletedIds, focusedRow?.dataset.itemId ?? selectedIds[0]);
+    moveToTrash([...deletedIds]);
+    recordChange(
+      items.filter((item) => !deletedIds.has(item.id)),
+      `Delete ${countLabel(deletedIds.size)}`,
+      { toast: true, trash: true }
+    );
+    clearSelection();
+  }
+
+  function focusDraft() {
+    draftInputRef.current?.focus();
+  }
+
+  // Focus goes to the next row that stays, else the one before, else the add row,
+  // so it isn't lost along with the removed row.
+  function focusAfterRemoving(removedIds, fromId) {
+    const rowIds = visibleRows.map((row) => row.item.id);
+    const index = rowIds.indexOf(fromId);
+    const neighbourId =
+      rowIds.slice(index + 1).find((id) => !removedIds.has(id)) ??
+      rowIds.slice(0, Math.max(index, 0)).reverse().find((id) => !removedIds.has(id));
+    if (neighbourId) focusRow(neighbourId);
+    else focusDraft();
+  }
+
+  function focusRow(id) {
+    if (focusItem(id)) return;
+    // a long list only renders what's on screen, so scroll to the row and focus it once it's there
+    focusRequestRef.current = id;
+    scrollToRow(id);
+  }
+
+  function moveFocus(rowId, step) {
+    const rowIds = visibleRows.map((row) => row.item.id);
+    if (!rowIds.length) return;
+    const index = rowIds.indexOf(rowId);
+    const nextIndex =
+      index === -1
+        ? step > 0
+          ? 0
+          : rowIds.length - 1
+        : Math.min(Math.max(index + step, 0), rowIds.length - 1);
+    focusRow(rowIds[nextIndex]);
+  }
+
+  // Single-key shortcuts for the item that has focus; returns whether the key was used.
+  function handleItemKey(key, target) {
+    const row = target instanceof Element ? target.closest("[data-item-id]") : null;
+    const rowId = row?.dataset.itemId ?? null;
+    const item = rowId ? items.find((i) => i.id === rowId) : null;
+    // x and Delete act on the whole selection when the focused row is part of it
+    const actsOnSelection = item && selectedIds.length > 1 && selectedIds.includes(item.id);
+
+    // arrow keys only take over inside the list, so they still scroll the page elsewhere
+    const isArrow = key === "ArrowDown" || key === "ArrowUp";
+    if (key === "j" || key === "k" || (isArrow && row)) {
+      moveFocus(rowId, key === "j" || key === "ArrowDown" ? 1 : -1);
+      return true;
+    }
+    if (key === "n" && canEditList) {
+      focusDraft();
+      return true;
+    }
+    if (key in FILTER_KEYS) {
+      setFilter(FILTER_KEYS[key]);
+      return true;
+    }
+    if (!item) return false;
+    if (key === "o") {
+      setDetailId(item.id);
+      return true;
+    }
+    if (!canEditList) return false;
+    if (key === "x") {
+      if (actsOnSelection) handleBulkComplete(!item.isCompleted);
+      else handleToggle(item.id, !item.isCompleted);
+      return true;
+    }
+    if (key === "e") {
+      setEditingId(item.id);
+      setEditingText(item.content);
+      return true;
+    }
+    if (key === "Delete") {
+      if (actsOnSelection) handleBulkDelete();
+      else handleDelete(item.id);
+      return true;
+    }
+    return false;
+  }
+
+  // Makes sure a filter, search or collapsed parent isn't hiding the item, then focuses it.
+  function openItem(item) {
+    setActiveListId(item.listId);
+    if (
+      filter === "trash" ||
+      (filter === "active" && item.isCompleted) ||
+      (filter === "completed" && !item.isCompleted)
+    ) {
+      setFilter("all");
+    }
+    if (!matchesTagFilter(item, tagFilter)) setTagFilter([]);
+    if (isSearching && !matchesQuery(item, searchQuery)) setSearch("");
+    const ancestorIds = getAncestorIds(items, item.id);
+    if (ancestorIds.some((id) => collapsedIds.has(id))) {
+      setCollapsedIds((prev) => {
+        const next = new Set([...prev].filter((id) => !ancestorIds.includes(id)));
+        writeStoredArray(COLLAPSED_STORAGE_KEY, [...next]);
+        return next;
+      });
+    }
+    focusRequestRef.current = item.id;
+  }
+
+  function openItemDetail(id) {
+    const item = items.find((i) => i.id === id);
+    if (!item) return;
+    openItem(item);
+    setDetailId(id);
+  }
+
+  // Commands are plain data so the palette can list them during render; running one goes through here.
+  function getPaletteCommands() {
+    const lastUndo = history.undo[history.undo.length - 1];
+    const lastRedo = history.redo[history.redo.length - 1];
+    return [
+      canEditList && { id: "new", label: "New item", shortcut: "N" },
+      { id: "filter:all", label: "Show all items", shortcut: "1" },
+      { id: "filter:active", label: "Show active items", shortcut: "2" },
+      { id: "filter:completed", label: "Show completed items", shortcut: "3" },
+      { id: "filter:trash", label: "Show the trash" },
+      lastUndo && { id: "undo", label: `Undo ${lastUndo.label}`, shortcut: `${MOD_KEY}Z` },
+      lastRedo && { id: "redo", label: `Redo ${lastRedo.label}`, shortcut: `${MOD_KEY}Shift+Z` },
+      ...Object.entries(SORT_MODES)
+        .filter(([mode]) => mode !== sortMode)
+        .map(([mode, label]) => ({ id: `sort:${mode}`, label: `Sort: ${label}` })),
+      { id: "select-all", label: "Select all visible items", shortcut: `${MOD_KEY}A` },
+      canEditList &&
+        selectedIds.length > 0 && {
+          id: "complete-selected",
+          label: `Complete ${countLabel(selectedIds.length)} selected`,
+        },
+      selectedIds.length > 0 && { id: "clear-selection", label: "Clear selection", shortcut: "Esc" },
+      { id: "transfer", label: "Import / export this list" },
+      { id: "tags", label: "Manage tags" },
+      { id: "activity", label: "Show recent activity" },
+      { id: "stats", label: "Show statistics" },
+      remoteRepository && { id: "share", label: "Share this list" },
+      ...lists
+        .filter((list) => list.id !== currentListId)
+        .map((list) => ({ id: `list:${list.id}`, label: `Go to list “${list.name}”` })),
+      session && { id: "sign-out", label: "Sign out" },
+    ].filter(Boolean);
+  }
+
+  function runPaletteCommand(id) {
+    const [kind, arg] = id.split(/:(.*)/);
+    if (kind === "filter") setFilter(arg);
+    if (kind === "sort") setSortMode(arg);
+    if (kind === "list") setActiveListId(arg);
+    if (kind === "new") focusDraft();
+    if (kind === "undo") handleUndo();
+    if (kind === "redo") handleRedo();
+    if (kind === "select-all") selectAll();
+    if (kind === "complete-selected") handleBulkComplete(true);
+    if (kind === "clear-selection") clearSelection();
+    if (kind === "transfer") setIsTransferOpen(true);
+    if (kind === "tags") setIsManagingTags(true);
+    if (kind === "share") setIsSharing(true);
+    if (kind === "activity") setIsActivityOpen(true);
+    if (kind === "stats") setIsStatsOpen(true);
+    if (kind === "sign-out") handleSignOut();
+  }
+
+  function handleBulkMove(edge) {
+    if (!selectedIds.length) return;
+    recordChange(
+      moveToEdge(items, selectedIds, edge),
+      `Move ${countLabel(selectedIds.length)} to the ${edge}`
+    );
+  }
 
   function commitEdit(id) {
     const nextContent = editingText.trim();
@@ -254,17 +879,75 @@ export default function App() {
       return;
     }
 
-    setItems((prev) => {
-      const nextItems = prev.map((item) =>
-        item.id === id ? { ...item, content: nextContent } : item
+    const target = items.find((item) => item.id === id);
+    if (target && target.content !== nextContent) {
+      recordChange(
+        items.map((item) => (item.id === id ? { ...item, content: nextContent } : item)),
+        `Edit “${target.content}”`
       );
-      syncAll(nextItems);
-      return nextItems;
-    });
+    }
     setEditingId(null);
   }
 
+  function handleDueChange(id, dueAt) {
+    if (
+      dueAt &&
+      typeof Notification !== "undefined" &&
+      Notification.permission === "default"
+    ) {
+      Notification.requestPermission().catch(() => {});
+    }
+
+    const target = items.find((item) => item.id === id);
+    if (!target) return;
+    recordChange(
+      items.map((item) => (item.id === id ? { ...item, dueAt } : item)),
+      `Change due date of “${target.content}”`
+    );
+  }
+
+  function handlePriorityChange(id, priority) {
+    const target = items.find((item) => item.id === id);
+    if (!target) return;
+    recordChange(
+      items.map((item) => (item.id === id ? { ...item, priority } : item)),
+      priority
+        ? `Set priority of “${target.content}” to ${PRIORITY_LABELS[priority]}`
+        : `Clear priority of “${target.content}”`
+    );
+  }
+
+  function handleNotesChange(id, notes) {
+    const target = items.find((item) => item.id === id);
+    if (!target) return;
+    recordChange(
+      items.map((item) => (item.id === id ? { ...item, notes } : item)),
+      `Edit notes of “${target.content}”`
+    );
+  }
+
+  function closeDetail() {
+    focusRequestRef.current = detailId;
+    setDetailId(null);
+  }
+
+  function handleRecurrenceChange(id, recurrence) {
+    const target = items.find((item) => item.id === id);
+    if (!target) return;
+    recordChange(
+      items.map((item) => (item.id === id ? { ...item, recurrence } : item)),
+      `${recurrence ? "Repeat" : "Stop repeating"} “${target.content}”`
+    );
+  }
+
+  function dismissReminder(item) {
+    setDismissedReminders((prev) => new Set(prev).add(reminderKey(item)));
+  }
+
   function handleEditKeyDown(e, id) {
+    if (e.key === "Tab") {
+      if (e.shiftKey ? handleOutdent(id) : handleIndent(id)) e.preventDefault();
+    }
     if (e.key === "Enter") {
       e.preventDefault();
       commitEdit(id);
@@ -276,175 +959,579 @@ export default function App() {
 
   function onDragStart(event) {
     setActiveId(event.active.id);
+    setDragProjection(null);
     setEditingId(null); // avoid edit conflicts during drag
   }
 
+  function onDragMove(event) {
+    const { active, over, delta } = event;
+    if (!over) return;
+    setDragProjection(projectDrop(dragRows, active.id, over.id, delta.x, INDENT_WIDTH));
+  }
+
   function onDragCancel() {
     setActiveId(null);
+    setDragProjection(null);
   }
 
   function onDragEnd(event) {
-    const { active, over } = event;
+    const { active, over, delta } = event;
     setActiveId(null);
+    setDragProjection(null);
 
     if (!over) return;
-    if (active.id === over.id) return;
-
-    setItems((prev) => {
-      const activeItem = prev.find((i) => i.id === active.id);
-      const overItem = prev.find((i) => i.id === over.id);
-      if (!activeItem || !overItem) return prev;
 
-      const byId = new Map(prev.map((i) => [i.id, i]));
-      const activeIds = prev.filter((i) => !i.isCompleted).map((i) => i.id);
-      const completedIds = prev.filter((i) => i.isCompleted).map((i) => i.id);
+    const activeItem = items.find((i) => i.id === active.id);
+    const overItem = items.find((i) => i.id === over.id);
+    if (!activeItem || !overItem) return;
+    if (activeItem.listId !== overItem.listId) return;
+
+    // dropping on itself can still change the depth when dragged sideways
+    const projection = projectDrop(dragRows, active.id, over.id, delta.x, INDENT_WIDTH);
+    if (!projection) return;
+    if (projection.parentId) expandItem(projection.parentId);
+
+    // a group dropped in place still closes up around the dragged row
+    if (draggedIds.length > 1) {
+      recordChange(
+        moveSubtrees(
+          items,
+          draggedIds,
+          projection.previousId,
+          projection.parentId,
+          projection.nextId
+        ),
+        `Move ${countLabel(draggedIds.length)}`
+      );
+      return;
+    }
 
-      const segmentIds = activeItem.isCompleted ? completedIds : activeIds;
-      const fromIndex = segmentIds.indexOf(active.id);
-      if (fromIndex < 0) return prev;
+    if (active.id === over.id && projection.parentId === (activeItem.parentId ?? null)) return;
+    recordChange(
+      moveSubtree(
+        items,
+        active.id,
+        projection.previousId,
+        projection.parentId,
+        projection.nextId
+      ),
+      `Move “${activeItem.content}”`
+    );
+  }
 
-      const overSameSegment = activeItem.isCompleted === overItem.isCompleted;
-      if (!overSameSegment) {
-        // dragging across segments leaves positions unchanged
-        return prev;
+  // Saves an undoable change. Labels read as actions, e.g. "Delete “Buy milk”".
+  // With `trash`, undo and redo move what the action removes to the trash instead of deleting it.
+  function recordChange(nextItems, label, { toast = false, trash = false } = {}) {
+    const changes = diffItems(items, positionItems(nextItems));
+    if (changes.length) {
+      setHistory((prev) => ({
+        undo: pushHistory(prev.undo, { label, changes, trash }),
+        redo: [],
+      }));
+      if (toast) {
+        const message = label.replace(/^(Delete|Import|Restore)\b/, (verb) => PAST_TENSE[verb]);
+        setToast({ message, action: "undo" });
       }
+    }
+    syncAll(nextItems);
+  }
 
-      const toIndex = segmentIds.indexOf(over.id);
-      if (toIndex < 0) return prev;
+  function replayHistory(side) {
+    const from = side === "before" ? "undo" : "redo";
+    const to = side === "before" ? "redo" : "undo";
+    const entry = history[from][history[from].length - 1];
+    if (!entry) return;
 
-      const reorderedSegment = arrayMove(segmentIds, fromIndex, toIndex);
-      const nextActiveIds = activeItem.isCompleted ? activeIds : reorderedSegment;
-      const nextCompletedIds = activeItem.isCompleted
-        ? reorderedSegment
-        : completedIds;
+    const listIds = new Set(lists.map((list) => list.id));
+    const changes = entry.changes.filter(
+      (change) => !change[side] || listIds.has(change[side].listId)
+    );
+    const { items: nextItems, removedIds } = applyHistoryChanges(items, changes, side);
+
+    if (entry.trash) moveToTrash(removedIds);
+    else if (removedIds.length) persist("items", { kind: "delete", ids: removedIds });
+    syncAll(orderByCompletion(nextItems));
+
+    setHistory((prev) => ({
+      [from]: prev[from].slice(0, -1),
+      [to]: pushHistory(prev[to], entry),
+    }));
+    setToast(
+      side === "before"
+        ? { message: `Undone: ${entry.label}`, action: "redo" }
+        : { message: `Redone: ${entry.label}`, action: "undo" }
+    );
+  }
+
+  function handleUndo() {
+    replayHistory("before");
+  }
+
+  function handleRedo() {
+    replayHistory("after");
+  }
 
-      const nextItems = [...nextActiveIds, ...nextCompletedIds].map((id) => byId.get(id));
-      syncAll(nextItems);
-      return nextItems;
+  // Writes to this device's store happen right away; an account's writes queue in the outbox.
+  function persist(collection, operation) {
+    if (remoteRepository) {
+      enqueueSync({ ...operation, collection });
+      return;
+    }
+    runOperation(deviceRepository, { ...operation, collection }).then(({ error }) => {
+      if (error) setDataError(error.message);
     });
   }
 
-  function syncAll(nextItems) {
-    const withPositions = reindex(nextItems);
+  function syncAll(nextItems, nextLists = lists) {
+    const withPositions = positionItems(nextItems);
+    const changed = changedRecords(items, withPositions).filter(
+      (item) => !viewOnlyListIds.has(item.listId)
+    );
     setItems(withPositions);
+    if (changed.length) persist("items", { kind: "upsert", records: changed });
+    // anything back in the list, by restoring or undoing a delete, is out of the trash
+    const liveIds = new Set(withPositions.map((item) => item.id));
+    const restoredIds = new Set(trash.filter((item) => liveIds.has(item.id)).map((item) => item.id));
+    if (restoredIds.size) setTrash((prev) => prev.filter((item) => !restoredIds.has(item.id)));
+    // a deleted list takes its log along, so its items' deletions aren't logged
+    const listIds = new Set(nextLists.map((list) => list.id));
+    logActivity(
+      activityFromChanges(
+        diffItems(items, withPositions).filter((change) => {
+          const item = change.after ?? change.before;
+          return listIds.has(item.listId) && !viewOnlyListIds.has(item.listId);
+        }),
+        { actorId: userId, makeId: generateLocalId, restoredIds }
+      )
+    );
+    // a guest's default list is only kept once something is in it; after that, only changes go
+    if (!remoteRepository) {
+      const changedLists = changedRecords(deviceRepository.snapshot("lists"), nextLists);
+      if (changedLists.length) persist("lists", { kind: "upsert", records: changedLists });
+    }
+  }
 
-    if (!session || !hasSupabase) {
-      persistGuestItems(withPositions);
-      return;
+  // Trashed rows stay in the store with `deletedAt`; the caller takes them out of `items`.
+  function moveToTrash(ids) {
+    const trashedIds = new Set(ids);
+    const deletedAt = new Date().toISOString();
+    const trashed = items
+      .filter((item) => trashedIds.has(item.id))
+      .map((item) => ({ ...item, deletedAt }));
+    if (!trashed.length) return;
+    setTrash((prev) => [...prev.filter((item) => !trashedIds.has(item.id)), ...trashed]);
+    persist("items", { kind: "upsert", records: trashed });
+  }
+
+  // Puts an item back where it was, with the subtasks that were deleted along with it.
+  function handleRestore(id) {
+    const target = trash.find((item) => item.id === id);
+    if (!target) return;
+    const restoredIds = new Set([id, ...getDescendantIds(trash, id)]);
+    const restored = trash
+      .filter((item) => restoredIds.has(item.id))
+      .map((item) => ({ ...item, deletedAt: null }));
+    recordChange(
+      orderByCompletion([...items, ...restored].sort(byPosition)),
+      `Restore “${target.content}”`,
+      { toast: true, trash: true }
+    );
+  }
+
+  function handlePurge(ids) {
+    const purgedIds = new Set(ids);
+    setTrash((prev) => prev.filter((item) => !purgedIds.has(item.id)));
+    persist("items", { kind: "delete", ids });
+  }
+
+  function logActivity(entries) {
+    if (!entries.length) return;
+    const nextActivity = appendActivity(activity, entries);
+    setActivity(nextActivity);
+    persist("activity", { kind: "upsert", records: entries });
+    // a guest's log lives in this browser, so what falls past the limit goes
+    if (!remoteRepository) {
+      const kept = new Set(nextActivity.map((entry) => entry.id));
+      const dropped = activity.filter((entry) => !kept.has(entry.id)).map((entry) => entry.id);
+      if (dropped.length) persist("activity", { kind: "delete", ids: dropped });
     }
+  }
 
-      const payload = withPositions.map((item) => ({
-        id: item.id,
-        [COL_CONTENT]: item.content,
-        [COL_COMPLETED]: item.isCompleted,
-        position: item.position,
-        user_id: session.user.id,
-      }));
+  function syncLists(nextLists) {
+    const withPositions = positionLists(nextLists);
+    // only the owner writes a list, so moving a shared one lasts until the next load
+    const changed = changedRecords(lists, withPositions).filter((list) => ownsList(list, userId));
+    setLists(withPositions);
+    if (changed.length) persist("lists", { kind: "upsert", records: changed });
+  }
 
-    supabase.from(TABLE_NAME).upsert(payload).then(({ error }) => {
-      if (error) setDataError(error.message);
+  function handleCreateList(name) {
+    if (!isDataReady) return;
+    const newList = { id: generateLocalId(), name, position: null };
+    syncLists([...lists, newList]);
+    setActiveListId(newList.id);
+  }
+
+  function handleRenameList(id, name) {
+    if (!isDataReady) return;
+    syncLists(lists.map((list) => (list.id === id ? { ...list, name } : list)));
+  }
+
+  function handleMoveList(id, offset) {
+    const fromIndex = lists.findIndex((list) => list.id === id);
+    const toIndex = fromIndex + offset;
+    if (!isDataReady || fromIndex < 0 || toIndex < 0 || toIndex >= lists.length) return;
+    const moved = positionLists(arrayMove(lists, fromIndex, toIndex));
+    setLists(moved);
+    persist("lists", {
+      kind: "reorder",
+      records: changedRecords(lists, moved)
+        .filter((list) => ownsList(list, userId))
+        .map((list) => ({ id: list.id, position: list.position })),
     });
   }
 
-    function normalizeRows(rows) {
-    return rows
-      .map((row, index) => ({
-        id: row.id,
-        content: row[COL_CONTENT],
-        isCompleted: row[COL_COMPLETED],
-        position: typeof row.position === "number" ? row.position : index,
-      }))
-      .sort((a, b) => a.position - b.position);
+  function handleDeleteList(id) {
+    if (!isDataReady || lists.length <= 1) return;
+
+    // the list's items go with it
+    persist("lists", { kind: "delete", ids: [id] });
+
+    const nextLists = lists.filter((list) => list.id !== id);
+    syncLists(nextLists);
+    setTrash((prev) => prev.filter((item) => item.listId !== id));
+    if (currentListId === id) setActiveListId(nextLists[0].id);
+    syncAll(
+      items.filter((item) => item.listId !== id),
+      nextLists
+    );
   }
 
-  useEffect(() => {
-    if (!session || !hasSupabase) return;
+  function syncTags(nextTags) {
+    const changed = changedRecords(tags, nextTags);
+    setTags(nextTags);
+    if (changed.length) persist("tags", { kind: "upsert", records: changed });
+  }
 
-    let cancelled = false;
-    async function loadAndMerge() {
-      setIsLoading(true);
-      setDataError("");
+  function handleAddTag(itemId, name) {
+    const tagName = normalizeTagName(name);
+    const target = items.find((item) => item.id === itemId);
+    if (!tagName || !target) return;
 
-      const guestItems = reindex(loadGuestItems());
+    let tag = findTagByName(ownTags, tagName);
+    if (!tag) {
+      tag = { id: generateLocalId(), name: tagName, color: nextTagColor(ownTags) };
+      syncTags([...tags, tag]);
+    }
+    if (target.tagIds?.includes(tag.id)) return;
 
-      const { data, error } = await supabase
-        .from(TABLE_NAME)
-        .select(`id, ${COL_CONTENT}, ${COL_COMPLETED}, position`)
-        .eq("user_id", session.user.id)
-        .order("position", { ascending: true })
-        .order("created_at", { ascending: true });
+    recordChange(
+      items.map((item) =>
+        item.id === itemId ? { ...item, tagIds: [...(item.tagIds ?? []), tag.id] } : item
+      ),
+      `Tag “${target.content}” #${tag.name}`
+    );
+  }
 
-      if (cancelled) return;
+  function handleRemoveTag(itemId, tagId) {
+    const target = items.find((item) => item.id === itemId);
+    if (!target) return;
+    recordChange(
+      items.map((item) =>
+        item.id === itemId ? { ...item, tagIds: replaceTagId(item.tagIds, tagId, null) } : item
+      ),
+      `Untag “${target.content}”`
+    );
+  }
+
+  function handleUpdateTag(id, changes) {
+    const nextChanges = { ...changes };
+    if (changes.name !== undefined) {
+      nextChanges.name = normalizeTagName(changes.name);
+      const clash = findTagByName(ownTags, nextChanges.name);
+      if (!nextChanges.name || (clash && clash.id !== id)) return;
+    }
+    syncTags(tags.map((tag) => (tag.id === id ? { ...tag, ...nextChanges } : tag)));
+  }
+
+  // Removes a tag, moving its items over to `intoId` when merging.
+  function removeTag(id, intoId, label) {
+    recordChange(
+      items.map((item) => ({ ...item, tagIds: replaceTagId(item.tagIds, id, intoId) })),
+      label
+    );
+    persist("tags", { kind: "delete", ids: [id] });
+    syncTags(tags.filter((tag) => tag.id !== id));
+    setTagFilter((prev) => {
+      const next = prev.filter((tagId) => tagId !== id);
+      return intoId && prev.includes(id) && !next.includes(intoId) ? [...next, intoId] : next;
+    });
+  }
+
+  function handleMergeTags(fromId, intoId) {
+    const from = tags.find((tag) => tag.id === fromId);
+    const into = tags.find((tag) => tag.id === intoId);
+    if (!from || !into || fromId === intoId) return;
+    removeTag(fromId, intoId, `Merge #${from.name} into #${into.name}`);
+  }
+
+  function handleDeleteTag(id) {
+    const tag = tags.find((t) => t.id === id);
+    if (!tag) return;
+    removeTag(id, null, `Delete tag #${tag.name}`);
+  }
+
+  // Imported rows go through recordChange like any edit: undoable, and synced for guests and accounts alike.
+  function handleImport({ items: rows, tags: importedTags }, mode) {
+    if (!currentListId || !rows.length) return;
+
+    let nextTags = ownTags;
+    function tagIdFor(name) {
+      const tagName = normalizeTagName(name);
+      if (!tagName) return null;
+      const existing = findTagByName(nextTags, tagName);
+      if (existing) return existing.id;
+      const color = findTagByName(importedTags, tagName)?.color || nextTagColor(nextTags);
+      const tag = { id: generateLocalId(), name: tagName, color };
+      nextTags = [...nextTags, tag];
+      return tag.id;
+    }
+
+    const ids = rows.map(() => generateLocalId());
+    const imported = rows.map((row, index) => {
+      const due = row.dueAt ? new Date(row.dueAt) : null;
+      const created = row.createdAt ? new Date(row.createdAt) : null;
+      const completed = row.completedAt ? new Date(row.completedAt) : null;
+      return {
+        id: ids[index],
+        content: row.content,
+        isCompleted: row.isCompleted,
+        position: null,
+        listId: currentListId,
+        dueAt: due && !Number.isNaN(due.getTime()) ? due.toISOString() : null,
+        parentId: row.parentIndex != null ? ids[row.parentIndex] ?? null : null,
+        tagIds: [...new Set(row.tagNames.map(tagIdFor).filter(Boolean))],
+        recurrence: row.recurrence ?? null,
+        priority: row.priority ?? 0,
+        notes: row.notes ?? "",
+        createdBy: userId,
+        createdAt:
+          created && !Number.isNaN(created.getTime())
+            ? created.toISOString()
+            : new Date().toISOString(),
+        completedAt:
+          completed && !Number.isNaN(completed.getTime()) ? completed.toISOString() : null,
+      };
+    });
+    if (nextTags !== ownTags) syncTags([...tags, ...nextTags.slice(ownTags.length)]);
+
+    const replacedIds = new Set(
+      mode === "replace" ? items.filter((i) => i.listId === currentListId).map((i) => i.id) : []
+    );
+    // what an import replaces goes to the trash, so a wrong file can be undone later too
+    moveToTrash([...replacedIds]);
+
+    recordChange(
+      orderByCompletion([...items.filter((i) => !replacedIds.has(i.id)), ...imported]),
+      `Import ${imported.length} ${imported.length === 1 ? "item" : "items"} into “${activeList.name}”`,
+      { toast: true, trash: true }
+    );
+  }
+
+  async function handleGuestMerge(mode) {
+    if (!mergeReview || mergeReview.isMerging || !remoteRepository) return;
+    if (mode === "discard") {
+      deviceRepository.clear();
+      setMergeReview(null);
+      return;
+    }
+
+    // a retry reuses the same plan and ids, so rows that already made it aren't copied twice
+    const plan =
+      mergeReview.plan?.mode === mode
+        ? mergeReview.plan
+        : {
+            mode,
+            ...planGuestMerge({
+              guest: mergeReview.guest,
+              account: {
+                lists: lists.filter((list) => ownsList(list, userId)),
+                items,
+                tags: ownTags,
+              },
+              duplicates: mergeReview.duplicates,
+              skipDuplicates: mode === "skip",
+              makeId: generateLocalId,
+            }),
+          };
+    setMergeReview({ ...mergeReview, plan, isMerging: true, error: "" });
+
+    const writes = {
+      lists: plan.lists,
+      tags: plan.tags,
+      items: [...plan.items, ...plan.updatedItems],
+    };
+    for (const collection of ["lists", "tags", "items"]) {
+      if (!writes[collection].length) continue;
+      const { error } = await remoteRepository.update(collection, writes[collection]);
       if (error) {
-        setDataError(error.message);
-        setItems([]);
-        setIsLoading(false);
+        setMergeReview((prev) => prev && { ...prev, isMerging: false, error: error.message });
         return;
       }
+    }
 
-      const existing = orderByCompletion(normalizeRows(data || []));
-
-      if (!guestItems.length) {
-        setItems(existing);
-        const payload = existing.map((item) => ({
-          id: item.id,
-          [COL_CONTENT]: item.content,
-          [COL_COMPLETED]: item.isCompleted,
-          position: item.position,
-          user_id: session.user.id,
-        }));
-        supabase.from(TABLE_NAME).upsert(payload).then(({ error: upsertError }) => {
-          if (upsertError) setDataError(upsertError.message);
-        });
-        setIsLoading(false);
-        return;
-      }
+    // the server has everything now, so the guest copy can go
+    deviceRepository.clear();
+    setMergeReview(null);
+    const withoutCopies = (records, copies) => {
+      const ids = new Set(copies.map((copy) => copy.id));
+      return [...records.filter((record) => !ids.has(record.id)), ...copies];
+    };
+    setLists((prev) => normalizeLists(withoutCopies(prev, plan.lists)));
+    setTags((prev) => withoutCopies(prev, plan.tags));
+    setItems((prev) => orderByCompletion(normalizeRows(withoutCopies(prev, writes.items))));
+    setToast({
+      message: `Merged ${plan.items.length} ${plan.items.length === 1 ? "item" : "items"} from this device`,
+    });
+  }
 
-      const insertPayload = guestItems.map((item, index) => ({
-        [COL_CONTENT]: item.content,
-        [COL_COMPLETED]: item.isCompleted,
-        position: existing.length + index,
-        user_id: session.user.id,
-      }));
+  // Both resolve to an error message for SharePanel, or "" when it worked.
+  async function handleInvite(email, role) {
+    if (!remoteRepository || !currentListId) return "";
+    const { error } = await remoteRepository.invite(currentListId, email, role);
+    if (error) return error.message;
+    // the first invite adds the owner's row as well, so fetch everyone again
+    const { data } = await remoteRepository.list("members");
+    if (data) setMembers(data);
+    return "";
+  }
+
+  async function handleRemoveMember(member) {
+    if (!remoteRepository) return "";
+    const { error } = await remoteRepository.delete("members", [member.id]);
+    if (error) return error.message;
+    setMembers((prev) => withoutMember(prev, member, userId));
+    if (member.userId === userId) {
+      setLists((prev) => prev.filter((list) => list.id !== member.listId));
+      setItems((prev) => prev.filter((item) => item.listId !== member.listId));
+      setIsSharing(false);
+    }
+    return "";
+  }
+
+  function toggleTagFilter(id) {
+    setTagFilter((prev) => (prev.includes(id) ? prev.filter((t) => t !== id) : [...prev, id]));
+  }
+
+  useEffect(() => {
+    if (!remoteRepository) return;
+
+    let cancelled = false;
+
+    async function loadAndMerge() {
+      setIsLoading(true);
+      setDataError("");
+      setHistory({ undo: [], redo: [] });
+
+      const guestLists = normalizeLists(deviceRepository.snapshot("lists"));
+      const guestListIds = new Set(guestLists.map((list) => list.id));
+      // the guest's trash stays behind
+      const guestItems = positionItems(
+        normalizeRows(splitTrash(deviceRepository.snapshot("items")).items).map((item) => ({
+          ...item,
+          listId: guestListIds.has(item.listId) ? item.listId : guestLists[0]?.id ?? null,
+          recurrence: normalizeRecurrence(item.recurrence),
+        }))
+      );
 
-      const { error: insertError } = await supabase
-        .from(TABLE_NAME)
-        .insert(insertPayload);
+      const [
+        { data: listRecords, error: listError },
+        { data, error },
+        { data: tagRecords, error: tagError },
+        { data: memberRecords, error: memberError },
+        { data: activityRecords, error: activityError },
+      ] = await Promise.all([
+        remoteRepository.list("lists"),
+        remoteRepository.list("items"),
+        remoteRepository.list("tags"),
+        remoteRepository.list("members"),
+        remoteRepository.list("activity"),
+      ]);
 
       if (cancelled) return;
-      if (insertError) {
-        setDataError(insertError.message);
-        setItems(existing);
+      const loadError = listError || error || tagError || memberError || activityError;
+      if (loadError) {
+        setDataError(loadError.message);
+        setLists([]);
+        setItems([]);
+        setTrash([]);
         setIsLoading(false);
         return;
       }
 
-      clearGuestItems();
+      // unsent changes from an earlier visit win over what the server returned
+      const outbox = loadOutbox(userId);
+      let existingLists = normalizeLists(applyPendingRows(listRecords || [], outbox, "lists"));
+      const stored = splitTrash(applyPendingRows(data || [], outbox, "items"));
+      const rows = stored.items;
+      const existingTags = applyPendingRows(tagRecords || [], outbox, "tags");
+      setTags(existingTags);
+      setMembers(memberRecords || []);
+      setActivity(appendActivity([], applyPendingRows(activityRecords || [], outbox, "activity")));
+      const viewOnlyListIds = new Set(
+        (memberRecords || [])
+          .filter((member) => member.userId === userId && member.role === "viewer")
+          .map((member) => member.listId)
+      );
 
-      const { data: refreshed, error: refreshError } = await supabase
-        .from(TABLE_NAME)
-        .select(`id, ${COL_CONTENT}, ${COL_COMPLETED}, position`)
-        .eq("user_id", session.user.id)
-        .order("position", { ascending: true })
-        .order("created_at", { ascending: true });
+      // lists shared by others don't count: everyone keeps at least one of their own
+      let ownLists = existingLists.filter((list) => ownsList(list, userId));
+      if (!ownLists.length) {
+        const list = createDefaultList();
+        const { error: createError } = await remoteRepository.create("lists", [list]);
+        if (cancelled) return;
+        if (createError) {
+          setDataError(createError.message || "Could not create a list.");
+          setItems([]);
+          setIsLoading(false);
+          return;
+        }
+        ownLists = [list];
+        existingLists = normalizeLists([...existingLists, list]);
+      }
 
-      if (cancelled) return;
+      // Rows saved before lists existed belong to the first list.
+      const existingListIds = new Set(existingLists.map((list) => list.id));
+      const existing = orderByCompletion(
+        normalizeRows(rows).map((item) =>
+          existingListIds.has(item.listId) ? item : { ...item, listId: ownLists[0].id }
+        )
+      );
 
-      if (refreshError) {
-        setDataError(refreshError.message);
-        setItems(existing);
-      } else if (refreshed) {
-        const ordered = orderByCompletion(normalizeRows(refreshed));
-        setItems(ordered);
-        const payload = ordered.map((item) => ({
-          id: item.id,
-          [COL_CONTENT]: item.content,
-          [COL_COMPLETED]: item.isCompleted,
-          position: item.position,
-          user_id: session.user.id,
-        }));
-        supabase.from(TABLE_NAME).upsert(payload).then(({ error: upsertError }) => {
-          if (upsertError) setDataError(upsertError.message);
+      setLists(existingLists);
+      setTrash(stored.trash);
+      if (stored.expiredIds.length) {
+        enqueueSync({ kind: "delete", collection: "items", ids: stored.expiredIds });
+      }
+      // reloading after an invite keeps the list that was open
+      setActiveListId((prev) => (existingListIds.has(prev) ? prev : ownLists[0].id));
+      setItems(existing);
+      // only rows loading had to fix (a missing list, positions out of order) go back
+      const repaired = changedRecords(rows, existing).filter(
+        (item) => !viewOnlyListIds.has(item.listId)
+      );
+      if (repaired.length) enqueueSync({ kind: "upsert", collection: "items", records: repaired });
+
+      // Guest items wait on this device until the user decides what to do with them.
+      // Only items the user can edit count as duplicates, since a skip may write notes to them.
+      if (guestItems.length) {
+        const editable = existing.filter((item) => !viewOnlyListIds.has(item.listId));
+        setMergeReview({
+          guest: { lists: guestLists, items: guestItems, tags: deviceRepository.snapshot("tags") },
+          duplicates: findDuplicates(guestItems, editable),
+          plan: null,
+          isMerging: false,
+          error: "",
         });
       }
       setIsLoading(false);
@@ -455,7 +1542,15 @@ export default function App() {
     return () => {
       cancelled = true;
     };
-  }, [hasSupabase, session]);
+  }, [deviceRepository, enqueueSync, remoteRepository, userId, reloadKey]);
+
+  // a load that failed offline is tried again once the connection is back
+  useEffect(() => {
+    if (!dataError) return undefined;
+    const reload = () => setReloadKey((key) => key + 1);
+    window.addEventListener("online", reload);
+    return () => window.removeEventListener("online", reload);
+  }, [dataError]);
 
   function handleAuthSubmit(e) {
     e.preventDefault();
@@ -465,6 +1560,14 @@ export default function App() {
       setAuthError("Supabase not configured.");
       return;
     }
+    if (authMode === "passwordless") {
+      sendPasswordlessEmail(signInMethod === "code" ? "codeEntry" : "linkSent");
+      return;
+    }
+    if (authMode === "codeEntry") {
+      handleVerifyCode();
+      return;
+    }
     if (authMode === "resetRequest") {
       if (!email) {
         setAuthError("Enter your email to reset your password.");
@@ -526,6 +1629,55 @@ export default function App() {
       });
   }
 
+  // Sends the sign-in email (or sends it again) and moves to `nextMode` once it's out.
+  async function sendPasswordlessEmail(nextMode = authMode) {
+    const address = email.trim();
+    if (!address) {
+      setAuthError("Enter your email to get a sign-in link or code.");
+      return;
+    }
+    const wait = resendWait(resendAt, new Date());
+    if (wait) {
+      setAuthError(`You can send another email in ${wait} seconds.`);
+      return;
+    }
+    setIsAuthBusy(true);
+    setAuthError("");
+    setAuthNotice("");
+    const { error } = await sendSignInEmail(supabase, address, REDIRECT_TO);
+    setIsAuthBusy(false);
+    if (error) {
+      const { message, retryAfter } = describeAuthError(error);
+      setAuthError(message);
+      if (retryAfter) setResendAt(nextResendAt(new Date(), retryAfter));
+      return;
+    }
+    setResendAt(nextResendAt(new Date()));
+    if (nextMode === authMode) setAuthNotice("We sent another email. Only the newest link or code works.");
+    else setSignInCode("");
+    setAuthMode(nextMode);
+  }
+
+  async function handleVerifyCode() {
+    if (signInCode.length !== CODE_LENGTH) {
+      setAuthError(`Enter all ${CODE_LENGTH} digits of the code.`);
+      return;
+    }
+    setIsAuthBusy(true);
+    setAuthError("");
+    const { error } = await verifySignInCode(supabase, email.trim(), signInCode);
+    setIsAuthBusy(false);
+    if (error) {
+      setAuthError(describeAuthError(error).message);
+      return;
+    }
+    // the session arrives through onAuthStateChange
+    setSignInCode("");
+    setEmail("");
+    setAuthNotice("");
+    setAuthMode("signIn");
+  }
+
   function handlePasswordReset() {
     setAuthError("");
     setAuthNotice("");
@@ -567,11 +1719,20 @@ export default function App() {
     setAuthError("");
     setAuthNotice("");
     setPassword("");
+    setSignInCode("");
   }
 
+  // Guest data is only cleared once merged, so whatever is left on this device wasn't.
   function handleSignOut() {
-    clearGuestItems();
-    setItems([]);
+    const next = loadDeviceState(deviceRepository);
+    setItems(next.items);
+    setLists(next.lists);
+    setTags(next.tags);
+    setActivity(next.activity);
+    setTrash(next.trash);
+    setMergeReview(null);
+    setMembers([]);
+    setHistory({ undo: [], redo: [] });
     hadSessionRef.current = false;
     setIsResettingPassword(false);
     setAuthMode("signIn");
@@ -585,14 +1746,306 @@ export default function App() {
     [activeId, items]
   );
 
+  // What screen readers hear during a drag, e.g. "Moved “Buy milk” to position 3 of 8."
+  function dragLabel(id) {
+    const content = items.find((i) => i.id === id)?.content ?? "";
+    const others = dragGroupIds(items, selectedIds, id).length - 1;
+    return others ? `“${content}” and ${countLabel(others)} more` : `“${content}”`;
+  }
+
+  function dragPosition(id) {
+    const index = dragRows.findIndex((row) => row.item.id === id);
+    return `position ${index + 1} of ${dragRows.length}`;
+  }
+
+  const dragAnnouncements = {
+    onDragStart: ({ active }) => `Picked up ${dragLabel(active.id)}, at ${dragPosition(active.id)}.`,
+    onDragOver: ({ active, over }) =>
+      over
+        ? `${dragLabel(active.id)} is over ${dragPosition(over.id)}.`
+        : `${dragLabel(active.id)} is no longer over the list.`,
+    onDragEnd: ({ active, over }) =>
+      over
+        ? `Moved ${dragLabel(active.id)} to ${dragPosition(over.id)}.`
+        : `Dropped ${dragLabel(active.id)} where it was.`,
+    onDragCancel: ({ active }) =>
+      `Cancelled. ${dragLabel(active.id)} is back at ${dragPosition(active.id)}.`,
+  };
+  // closes by itself when the item is deleted
+  const detailItem = useMemo(
+    () => (detailId ? items.find((i) => i.id === detailId) || null : null),
+    [detailId, items]
+  );
+
+  const reminders = useMemo(
+    () =>
+      findDueReminders(items, openedAt, now).filter(
+        (item) => !dismissedReminders.has(reminderKey(item))
+      ),
+    [items, openedAt, now, dismissedReminders]
+  );
+
+  useEffect(() => {
+    if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    reminders.forEach((item) => {
+      const key = reminderKey(item);
+      if (notifiedRef.current.has(key)) return;
+      notifiedRef.current.add(key);
+      try {
+        new Notification("Task due", { body: item.content, tag: key });
+      } catch {
+        // some browsers only allow notifications from a service worker
+      }
+    });
+  }, [reminders]);
+
+  const rowSyncStates = useMemo(
+    () => getRowStates(syncQueue.entries, "items"),
+    [syncQueue.entries]
+  );
+
+  useEffect(() => {
+    editingIdRef.current = editingId;
+  }, [editingId]);
+
+  useEffect(() => {
+    shortcutsRef.current = {
+      undo: handleUndo,
+      redo: handleRedo,
+      selectAll,
+      clearSelection,
+      handleItemKey,
+      togglePalette: () => setIsPaletteOpen((prev) => !prev),
+      isDragging: activeId !== null,
+    };
+  });
+
+  useEffect(() => {
+    const id = focusRequestRef.current;
+    if (!id) return;
+    if (focusItem(id)) focusRequestRef.current = null;
+    else scrollToRow(id);
+  });
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      // a keyboard drag owns the arrows, Space, Enter and Escape until it drops
+      if (shortcutsRef.current?.isDragging) return;
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        shortcutsRef.current?.togglePalette();
+        return;
+      }
+      // leave text fields their own keys, like native undo and select-all
+      const target = e.target;
+      const isTextField =
+        target instanceof HTMLElement &&
+        (target.isContentEditable ||
+          target.tagName === "TEXTAREA" ||
+          target.tagName === "SELECT" ||
+          (target.tagName === "INPUT" && target.type !== "checkbox"));
+      if (isTextField) return;
+      if (e.key === "Escape") {
+        shortcutsRef.current?.clearSelection();
+        return;
+      }
+      if (e.altKey) return;
+      if (!(e.ctrlKey || e.metaKey)) {
+        if (shortcutsRef.current?.handleItemKey(e.key, target)) e.preventDefault();
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === "a") {
+        e.preventDefault();
+        shortcutsRef.current?.selectAll();
+        return;
+      }
+      if (key !== "z" && key !== "y") return;
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) shortcutsRef.current?.redo();
+      else shortcutsRef.current?.undo();
+    }
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  useEffect(() => {
+    rowSyncStatesRef.current = rowSyncStates;
+  }, [rowSyncStates]);
+
+  useEffect(() => {
+    membersRef.current = members;
+  }, [members]);
+
+  useEffect(() => {
+    tagsRef.current = tags;
+  }, [tags]);
+
+  // Live sync: other tabs and devices write to the same store.
+  useEffect(() => {
+    const repository = remoteRepository ?? deviceRepository;
+
+    function reloadDeviceState() {
+      const next = loadDeviceState(deviceRepository);
+      const editing = editingIdRef.current;
+      setLists(next.lists);
+      setTags(next.tags);
+      setActivity(next.activity);
+      setTrash(next.trash);
+      setItems((prev) => {
+        const editedItem = prev.find((item) => item.id === editing);
+        if (!editedItem) return next.items;
+        return next.items.map((item) =>
+          item.id === editing ? { ...item, content: editedItem.content } : item
+        );
+      });
+    }
+
+    // Someone else's tag only becomes readable once an item here carries it, so the
+    // tag's own insert never arrives; fetch the tags again instead, once per unknown id.
+    const requestedTagIds = new Set();
+    function loadMissingTags(tagIds) {
+      const missing = tagIds.filter(
+        (id) => !requestedTagIds.has(id) && !tagsRef.current.some((tag) => tag.id === id)
+      );
+      if (!remoteRepository || !missing.length) return;
+      missing.forEach((id) => requestedTagIds.add(id));
+      remoteRepository.list("tags").then(({ data }) => {
+        if (data) setTags(applyPendingRows(data, loadOutbox(userId), "tags"));
+      });
+    }
+
+    function handleItemChange(change) {
+      if (change.type === "delete") {
+        setItems((prev) => prev.filter((item) => item.id !== change.id));
+        setTrash((prev) => prev.filter((item) => item.id !== change.id));
+        return;
+      }
+      // this tab has newer unsent changes for the row; they'll win once sent
+      if (rowSyncStatesRef.current.has(change.record.id)) return;
+      const record = change.record;
+      setTrash((prev) => [
+        ...prev.filter((item) => item.id !== record.id),
+        ...(record.deletedAt ? [record] : []),
+      ]);
+      if (record.deletedAt) {
+        setItems((prev) => prev.filter((item) => item.id !== record.id));
+        return;
+      }
+      loadMissingTags(record.tagIds);
+      setItems((prev) => mergeRemoteItem(prev, record, editingIdRef.current));
+    }
+
+    function handleListChange(change) {
+      if (change.type === "delete") {
+        setLists((prev) => {
+          const nextLists = prev.filter((list) => list.id !== change.id);
+          return nextLists.length ? nextLists : prev;
+        });
+        setItems((prev) => prev.filter((item) => item.listId !== change.id));
+        return;
+      }
+      setLists((prev) => mergeRemoteList(prev, change.record));
+    }
+
+    function handleTagChange(change) {
+      if (change.type === "delete") {
+        setTags((prev) => prev.filter((tag) => tag.id !== change.id));
+        return;
+      }
+      const tag = change.record;
+      setTags((prev) =>
+        prev.some((t) => t.id === tag.id)
+          ? prev.map((t) => (t.id === tag.id ? tag : t))
+          : [...prev, tag]
+      );
+    }
+
+    function handleMemberChange(change) {
+      if (change.type === "delete") {
+        // a delete only carries the id, so look up whose access it was
+        const member = membersRef.current.find((m) => m.id === change.id);
+        if (!member) return;
+        setMembers((prev) => withoutMember(prev, member, userId));
+        if (member.userId === userId) {
+          setLists((prev) => prev.filter((list) => list.id !== member.listId));
+          setItems((prev) => prev.filter((item) => item.listId !== member.listId));
+        }
+        return;
+      }
+      const member = change.record;
+      const isNewShare =
+        member.userId === userId &&
+        member.role !== "owner" &&
+        !membersRef.current.some((m) => m.id === member.id);
+      // a list just shared with this user comes with items, so load everything again
+      if (isNewShare) {
+        setReloadKey((key) => key + 1);
+        return;
+      }
+      setMembers((prev) =>
+        prev.some((m) => m.id === member.id)
+          ? prev.map((m) => (m.id === member.id ? member : m))
+          : [...prev, member]
+      );
+    }
+
+    return repository.subscribe((change) => {
+      // only stores on this device rewrite whole collections
+      if (change.type === "reset") reloadDeviceState();
+      else if (change.collection === "items") handleItemChange(change);
+      else if (change.collection === "lists") handleListChange(change);
+      else if (change.collection === "tags") handleTagChange(change);
+      else if (change.collection === "members") handleMemberChange(change);
+      // the log only grows; nothing but a list's deletion removes entries
+      else if (change.collection === "activity" && change.type === "upsert") {
+        setActivity((prev) => appendActivity(prev, [change.record]));
+      }
+    });
+  }, [deviceRepository, remoteRepository, userId]);
+
+  const tagCounts = useMemo(() => {
+    const counts = {};
+    items.forEach((item) => {
+      (item.tagIds ?? []).forEach((tagId) => {
+        counts[tagId] = (counts[tagId] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [items]);
+
+  const listCounts = useMemo(() => {
+    const counts = {};
+    items.forEach((item) => {
+      const entry = counts[item.listId] || { open: 0, total: 0 };
+      entry.total += 1;
+      if (!item.isCompleted) entry.open += 1;
+      counts[item.listId] = entry;
+    });
+    return counts;
+  }, [items]);
+
   return (
     <div className="app">
       <div className="auth-wrapper">
-        {!hasSupabase && (
-          <div className="hint error">
-            Supabase is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY
-            in your .env file.
-          </div>
+        {STORAGE_BACKEND === "memory" ? (
+          <div className="hint">Demo mode: nothing is saved, and a reload starts over.</div>
+        ) : supabase && !hasSupabase ? (
+          <div className="hint">Running on this browser's storage only.</div>
+        ) : (
+          !hasSupabase && (
+            <div className="hint error">
+              Supabase is not configured. Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY
+              in your .env file.
+            </div>
+          )
         )}
         {isResettingPassword ? (
           <form className="auth" onSubmit={handlePasswordUpdate}>
@@ -602,6 +2055,7 @@ export default function App() {
               placeholder="New password"
               value={newPassword}
               onChange={(e) => setNewPassword(e.target.value)}
+              aria-label="New password"
               required
             />
             <input
@@ -609,12 +2063,13 @@ export default function App() {
               placeholder="Confirm new password"
               value={confirmPassword}
               onChange={(e) => setConfirmPassword(e.target.value)}
+              aria-label="Confirm new password"
               required
             />
             <button type="submit" className="primary-btn">
               Update password
             </button>
-            <button type="button" onPointerDown={() => setIsResettingPassword(false)}>
+            <button type="button" onClick={() => setIsResettingPassword(false)}>
               Cancel
             </button>
             {authError && <div className="hint error">{authError}</div>}
@@ -629,41 +2084,146 @@ export default function App() {
                 Resend email
               </button>
             </div>
+          ) : authMode === "linkSent" ? (
+            <div className="auth">
+              <h2>Check your inbox</h2>
+              <div className="hint">
+                We sent a sign-in link to {email.trim()}. Open it on this device. The email also
+                has a {CODE_LENGTH}-digit code, if that’s easier.
+              </div>
+              <button type="button" className="primary-btn" onClick={() => switchAuthMode("codeEntry")}>
+                Enter the code instead
+              </button>
+              <ResendButton
+                resendAt={resendAt}
+                disabled={isAuthBusy}
+                onClick={() => sendPasswordlessEmail()}
+                label={(seconds) => (seconds ? `Resend in ${seconds}s` : "Resend email")}
+              />
+              <button type="button" onClick={() => switchAuthMode("passwordless")}>
+                Use a different email
+              </button>
+              {authError && <div className="hint error">{authError}</div>}
+              {authNotice && <div className="hint">{authNotice}</div>}
+            </div>
+          ) : authMode === "codeEntry" ? (
+            <form className="auth" onSubmit={handleAuthSubmit}>
+              <h2>Enter your code</h2>
+              <div className="hint">
+                Type the {CODE_LENGTH}-digit code from the email we sent to {email.trim()}.
+              </div>
+              <input
+                className="code-input"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder={"0".repeat(CODE_LENGTH)}
+                value={signInCode}
+                onChange={(e) => setSignInCode(normalizeCode(e.target.value))}
+                aria-label="Sign-in code"
+                autoFocus
+                required
+              />
+              <button type="submit" className="primary-btn" disabled={isAuthBusy}>
+                {isAuthBusy ? "Checking…" : "Sign in"}
+              </button>
+              <ResendButton
+                resendAt={resendAt}
+                disabled={isAuthBusy}
+                onClick={() => sendPasswordlessEmail()}
+                label={(seconds) =>
+                  seconds ? `Send a new code in ${seconds}s` : "Send a new code"
+                }
+              />
+              <button type="button" onClick={() => switchAuthMode("passwordless")}>
+                Use a different email
+              </button>
+              {authError && <div className="hint error">{authError}</div>}
+              {authNotice && <div className="hint">{authNotice}</div>}
+            </form>
           ) : (
             <form className="auth" onSubmit={handleAuthSubmit}>
-              <h2>{authMode === "signUp" ? "Create your account" : "Sign in to your list"}</h2>
+              <h2>
+                {authMode === "signUp"
+                  ? "Create your account"
+                  : authMode === "passwordless"
+                  ? "Sign in without a password"
+                  : "Sign in to your list"}
+              </h2>
               {authMode === "resetRequest" ? (
                 <div className="hint">We’ll email a reset link to this address.</div>
               ) : null}
+              {authMode === "passwordless" && (
+                <div className="auth-methods" role="radiogroup" aria-label="Sign in with">
+                  {[
+                    ["link", "Email me a link"],
+                    ["code", "Email me a code"],
+                  ].map(([method, label]) => (
+                    <button
+                      key={method}
+                      type="button"
+                      role="radio"
+                      aria-checked={signInMethod === method}
+                      className={signInMethod === method ? "active" : ""}
+                      onClick={() => setSignInMethod(method)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
               <input
                 type="email"
                 placeholder="Email"
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
+                aria-label="Email"
                 required
               />
-              {authMode !== "resetRequest" && (
+              {authMode !== "resetRequest" && authMode !== "passwordless" && (
                 <input
                   type="password"
                   placeholder={authMode === "signUp" ? "Create password" : "Password"}
                   value={password}
                   onChange={(e) => setPassword(e.target.value)}
+                  aria-label={authMode === "signUp" ? "Create password" : "Password"}
                   required
                 />
               )}
-              <button type="submit" className="primary-btn">
-                {authMode === "signUp"
-                  ? "Sign up"
-                  : authMode === "resetRequest"
-                  ? "Send reset link"
-                  : "Sign in"}
-              </button>
-              {authMode === "resetRequest" && (
+              {authMode === "passwordless" ? (
+                <ResendButton
+                  type="submit"
+                  className="primary-btn"
+                  resendAt={resendAt}
+                  disabled={isAuthBusy}
+                  label={(seconds) =>
+                    seconds
+                      ? `Wait ${seconds}s to send another`
+                      : signInMethod === "code"
+                      ? "Send code"
+                      : "Send link"
+                  }
+                />
+              ) : (
+                <button type="submit" className="primary-btn">
+                  {authMode === "signUp"
+                    ? "Sign up"
+                    : authMode === "resetRequest"
+                    ? "Send reset link"
+                    : "Sign in"}
+                </button>
+              )}
+              {(authMode === "resetRequest" || authMode === "passwordless") && (
                 <button type="button" onClick={() => switchAuthMode("signIn")}>
-                  Cancel
+                  {authMode === "passwordless" ? "Use a password instead" : "Cancel"}
                 </button>
               )}
-              {authMode !== "resetRequest" && (
+              {authMode === "signIn" && (
+                <button type="button" onClick={() => switchAuthMode("passwordless")}>
+                  Sign in with an email link or code
+                </button>
+              )}
+              {(authMode === "signIn" || authMode === "signUp") && (
                 <button
                   type="button"
                   onClick={() =>
@@ -685,119 +2245,488 @@ export default function App() {
         ) : (
           <div className="auth-row">
             <div className="hint">Signed in as {session.user.email}</div>
-            <button type="button" onPointerDown={handleSignOut}>
+            <button type="button" onClick={handleSignOut}>
               Sign out
             </button>
           </div>
         )}
       </div>
 
-      <div className="header">
-        <div className="date">
-          {now.toLocaleDateString(undefined, {
-            weekday: "long",
-            month: "long",
-            day: "numeric",
-            year: "numeric",
-          })}
-        </div>
-        <div className="time">
-          {now.toLocaleTimeString(undefined, {
-            hour: "2-digit",
-            minute: "2-digit",
-            second: "2-digit",
-          })}
-        </div>
-      </div>
-
-      {/* ADD ROW */}
-      <form className="todo-row add-row" onSubmit={handleSubmit}>
-        <span className="slot" aria-hidden="true" />
-        <input
-          type="text"
-          value={draft}
-          onChange={(e) => setDraft(e.target.value)}
-          placeholder="What are you going to do?"
+      <div className="app-body">
+        <ListSidebar
+          lists={lists}
+          activeListId={currentListId}
+          counts={listCounts}
+          currentUserId={userId}
+          sharedListIds={sharedListIds}
+          onSelect={setActiveListId}
+          onCreate={handleCreateList}
+          onRename={handleRenameList}
+          onMove={handleMoveList}
+          onDelete={handleDeleteList}
         />
-        <button type="submit" className="primary-btn" aria-label="Add item">
-          +
-        </button>
-      </form>
-
-      {/* FILTERS */}
-      <div className="filters">
-        <button
-          type="button"
-          className={filter === "all" ? "active" : ""}
-          onPointerDown={() => setFilter("all")}
-        >
-          All
-        </button>
-        <button
-          type="button"
-          className={filter === "active" ? "active" : ""}
-          onPointerDown={() => setFilter("active")}
-        >
-          Active
-        </button>
-        <button
-          type="button"
-          className={filter === "completed" ? "active" : ""}
-          onPointerDown={() => setFilter("completed")}
-        >
-          Completed
-        </button>
-      </div>
 
-      {/* LIST + DND */}
-      <DndContext
-        sensors={sensors}
-        collisionDetection={closestCenter}
-        onDragStart={onDragStart}
-        onDragCancel={onDragCancel}
-        onDragEnd={onDragEnd}
-      >
-        {/* IMPORTANT: SortableContext must always receive the ids of the DOM list being rendered */}
-        <SortableContext
-          items={visibleItems.map((i) => i.id)}
-          strategy={verticalListSortingStrategy}
-        >
-          <ul className="todo-list">
-            {visibleItems.map((item) => (
-              <SortableTodoItem
-                key={item.id}
-                id={item.id}
-                item={item}
-                editingId={editingId}
-                editingText={editingText}
-                setEditingId={setEditingId}
-                setEditingText={setEditingText}
-                commitEdit={commitEdit}
-                handleEditKeyDown={handleEditKeyDown}
-                handleToggle={handleToggle}
-                handleDelete={handleDelete}
+        <main className="list-main">
+          <Clock />
+
+          {mergeReview && <MergeReview review={mergeReview} onMerge={handleGuestMerge} />}
+
+          {reminders.length > 0 && (
+            <div className="reminders" role="status">
+              {reminders.map((item) => (
+                <div key={reminderKey(item)} className="reminder">
+                  <span>⏰ “{item.content}” is due</span>
+                  <button type="button" onClick={() => dismissReminder(item)}>
+                    Dismiss
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {activeList && (
+            <div className="list-title-row">
+              <h1 className="list-title">{activeList.name}</h1>
+              <div className="list-title-actions">
+                <button
+                  type="button"
+                  onClick={() => setIsPaletteOpen(true)}
+                  aria-keyshortcuts="Control+K Meta+K"
+                >
+                  Commands <kbd>{MOD_KEY}K</kbd>
+                </button>
+                {remoteRepository && (
+                  <button
+                    type="button"
+                    className={isSharing ? "active" : ""}
+                    onClick={() => setIsSharing((prev) => !prev)}
+                  >
+                    {isSharedList ? "Shared" : "Share"}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className={isActivityOpen ? "active" : ""}
+                  onClick={() => setIsActivityOpen((prev) => !prev)}
+                >
+                  Activity
+                </button>
+                <button
+                  type="button"
+                  className={isStatsOpen ? "active" : ""}
+                  onClick={() => setIsStatsOpen((prev) => !prev)}
+                >
+                  Stats
+                </button>
+                <button
+                  type="button"
+                  className={isTransferOpen ? "active" : ""}
+                  onClick={() => setIsTransferOpen((prev) => !prev)}
+                >
+                  Import / Export
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeList && isSharing && remoteRepository && (
+            <SharePanel
+              key={activeList.id}
+              list={activeList}
+              members={members.filter((member) => member.listId === currentListId)}
+              currentUserId={userId}
+              isOwner={isListOwner}
+              onInvite={handleInvite}
+              onRemove={handleRemoveMember}
+              onClose={() => setIsSharing(false)}
+            />
+          )}
+
+          {activeList && isActivityOpen && (
+            <ActivityFeed
+              list={activeList}
+              entries={listActivity}
+              listNames={listNames}
+              actorName={(actorId) => personName(actorId, userId, memberEmails)}
+              now={now}
+              itemIds={new Set(items.map((item) => item.id))}
+              onOpenItem={openItemDetail}
+              onClose={() => setIsActivityOpen(false)}
+            />
+          )}
+
+          {isStatsOpen && (
+            <StatsPanel
+              items={items}
+              lists={lists}
+              now={now}
+              onClose={() => setIsStatsOpen(false)}
+            />
+          )}
+
+          {activeList && isTransferOpen && (
+            <TransferPanel
+              list={activeList}
+              listItems={items.filter((item) => item.listId === currentListId)}
+              tags={tags}
+              onImport={canEditList ? handleImport : null}
+              onClose={() => setIsTransferOpen(false)}
+            />
+          )}
+
+          {/* ADD ROW */}
+          {canEditList ? (
+            <>
+              <form className="todo-row add-row" onSubmit={handleSubmit}>
+                <span className="slot" aria-hidden="true" />
+                <input
+                  ref={draftInputRef}
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  placeholder="What are you going to do?"
+                  aria-label="New item"
+                />
+                <button type="submit" className="primary-btn" aria-label="Add item">
+                  +
+                </button>
+              </form>
+              <QuickAddChips
+                parsed={quickAdd}
+                tags={ownTags}
+                now={now}
+                onEscape={(parts) => {
+                  setDraft(escapeQuickAddParts(draft, parts));
+                  focusDraft();
+                }}
               />
+            </>
+          ) : (
+            isDataReady && (
+              <div className="hint view-only-notice">You can view this list, but not change it.</div>
+            )
+          )}
+
+          {/* SEARCH */}
+          <div className="search-row">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Escape") setSearch("");
+              }}
+              placeholder='Search — words, "phrases", -exclude, is:done, is:open'
+              aria-label="Search items"
+            />
+          </div>
+
+          {/* FILTERS */}
+          <div className="filters">
+            <button
+              type="button"
+              className={filter === "all" ? "active" : ""}
+              onClick={() => setFilter("all")}
+            >
+              All
+            </button>
+            <button
+              type="button"
+              className={filter === "active" ? "active" : ""}
+              onClick={() => setFilter("active")}
+            >
+              Active
+            </button>
+            <button
+              type="button"
+              className={filter === "completed" ? "active" : ""}
+              onClick={() => setFilter("completed")}
+            >
+              Completed
+            </button>
+            <button
+              type="button"
+              className={isTrashView ? "active" : ""}
+              onClick={() => setFilter("trash")}
+            >
+              Trash{trashCount > 0 && ` (${trashCount})`}
+            </button>
+            <label className="sort-select">
+              Sort
+              <select value={sortMode} onChange={(e) => setSortMode(e.target.value)}>
+                {Object.entries(SORT_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="button"
+              className={isManagingTags ? "active" : ""}
+              onClick={() => setIsManagingTags((prev) => !prev)}
+            >
+              Manage tags
+            </button>
+          </div>
+
+          {tags.length > 0 && (
+            <div className="filters tag-filters" aria-label="Filter by tag">
+              {tags.map((tag) => (
+                <button
+                  key={tag.id}
+                  type="button"
+                  className={`tag-chip${tagFilter.includes(tag.id) ? " active" : ""}`}
+                  style={{ "--tag-color": tag.color }}
+                  aria-pressed={tagFilter.includes(tag.id)}
+                  onClick={() => toggleTagFilter(tag.id)}
+                >
+                  #{tag.name}
+                </button>
+              ))}
+              {tagFilter.length > 0 && (
+                <button type="button" className="meta-btn" onClick={() => setTagFilter([])}>
+                  Clear tags
+                </button>
+              )}
+            </div>
+          )}
+
+          {isManagingTags && (
+            <TagManager
+              tags={ownTags}
+              counts={tagCounts}
+              onUpdate={handleUpdateTag}
+              onMerge={handleMergeTags}
+              onDelete={handleDeleteTag}
+              onClose={() => setIsManagingTags(false)}
+            />
+          )}
+
+          <datalist id="tag-options">
+            {ownTags.map((tag) => (
+              <option key={tag.id} value={tag.name} />
             ))}
-            {isLoading && <li className="todo-item">Loading...</li>}
-            {dataError && <li className="todo-item hint error">{dataError}</li>}
-          </ul>
-        </SortableContext>
-
-        <DragOverlay dropAnimation={{ duration: 140, easing: "cubic-bezier(.2,.8,.2,1)" }}>
-          {activeItem ? (
-            <div className="drag-overlay">
-              <span className="icon-btn drag-handle" aria-hidden="true">
-                ≡
-              </span>
-              <div className="slot" aria-hidden="true" />
-              <div className="overlay-text">{activeItem.content}</div>
-              <div className="overlay-delete" aria-hidden="true">
-                <span className="icon-btn">✕</span>
-              </div>
+          </datalist>
+
+          {remoteRepository && (
+            <div className="sync-status" role="status">
+              {!syncQueue.isOnline && <span>Offline — changes are saved on this device.</span>}
+              {syncQueue.isOnline && syncQueue.pendingCount > 0 && (
+                <span>
+                  Syncing {syncQueue.pendingCount} {syncQueue.pendingCount === 1 ? "change" : "changes"}…
+                </span>
+              )}
+              {syncQueue.failedCount > 0 && (
+                <>
+                  <span className="error">
+                    {syncQueue.failedCount} {syncQueue.failedCount === 1 ? "change" : "changes"} failed
+                    to sync: {syncQueue.lastError}
+                  </span>
+                  <button type="button" onClick={syncQueue.retryFailed}>
+                    Retry
+                  </button>
+                  <button type="button" onClick={syncQueue.discardFailed}>
+                    Discard
+                  </button>
+                </>
+              )}
             </div>
-          ) : null}
-        </DragOverlay>
-      </DndContext>
+          )}
+
+          {canEditList && selectedIds.length > 0 && (
+            <div className="bulk-actions" role="toolbar" aria-label="Selected items">
+              <span>{countLabel(selectedIds.length)} selected</span>
+              <button type="button" onClick={() => handleBulkComplete(true)}>
+                Complete
+              </button>
+              <button type="button" onClick={() => handleBulkComplete(false)}>
+                Reopen
+              </button>
+              {isManualSort && (
+                <>
+                  <button type="button" onClick={() => handleBulkMove("top")}>
+                    Move to top
+                  </button>
+                  <button type="button" onClick={() => handleBulkMove("bottom")}>
+                    Move to bottom
+                  </button>
+                </>
+              )}
+              <button type="button" onClick={handleBulkDelete}>
+                Delete
+              </button>
+              <button type="button" onClick={clearSelection}>
+                Clear selection
+              </button>
+            </div>
+          )}
+
+          {!isManualSort && (
+            <div className="hint sort-notice">
+              Sorted by {SORT_MODES[sortMode].toLowerCase()}; dragging and indenting are off.{" "}
+              <button type="button" className="meta-btn" onClick={() => setSortMode("manual")}>
+                Back to manual order
+              </button>
+            </div>
+          )}
+
+          {/* LIST + DND */}
+          {isTrashView ? (
+            <TrashView
+              trash={trash.filter((item) => item.listId === currentListId)}
+              now={now}
+              readOnly={!canEditList}
+              onRestore={handleRestore}
+              onPurge={handlePurge}
+            />
+          ) : (
+            <DndContext
+              sensors={sensors}
+              collisionDetection={closestCenter}
+              onDragStart={onDragStart}
+              onDragMove={onDragMove}
+              onDragCancel={onDragCancel}
+              onDragEnd={onDragEnd}
+              // rows scrolled into view mid-drag need measuring too, not just those there at the start
+              measuring={{ droppable: { strategy: MeasuringStrategy.Always } }}
+              accessibility={{
+                announcements: dragAnnouncements,
+                screenReaderInstructions: DRAG_INSTRUCTIONS,
+              }}
+            >
+              {/* IMPORTANT: SortableContext must always receive the ids of the DOM list being rendered */}
+              <SortableContext
+                items={dragRowIds}
+                strategy={verticalListSortingStrategy}
+              >
+                <ul className="todo-list" ref={todoListRef}>
+                  {listSlots.map((slot) => {
+                    if (slot.key) {
+                      return (
+                        <li
+                          key={slot.key}
+                          className="list-gap"
+                          style={{ height: slot.height }}
+                          aria-hidden="true"
+                        />
+                      );
+                    }
+                    const { item, depth, hasChildren, done, total } = dragRows[slot.index];
+                    return (
+                      <SortableTodoItem
+                        key={item.id}
+                        id={item.id}
+                        item={item}
+                        depth={depth}
+                        hasChildren={hasChildren}
+                        progress={hasChildren ? { done, total } : null}
+                        isCollapsed={collapsedIds.has(item.id)}
+                        onToggleCollapsed={toggleCollapsed}
+                        handleIndent={handleIndent}
+                        handleOutdent={handleOutdent}
+                        searchQuery={isSearching ? searchQuery : null}
+                        tags={tags}
+                        handleAddTag={handleAddTag}
+                        handleRemoveTag={handleRemoveTag}
+                        now={now}
+                        syncState={remoteRepository ? rowSyncStates.get(item.id) || "synced" : null}
+                        isSortable={isManualSort}
+                        isSelected={selection.ids.has(item.id)}
+                        readOnly={!canEditList}
+                        attribution={isSharedList ? describeAuthors(item, userId, memberEmails) : ""}
+                        onSelect={handleSelect}
+                        editingId={editingId}
+                        editingText={editingText}
+                        setEditingId={setEditingId}
+                        setEditingText={setEditingText}
+                        commitEdit={commitEdit}
+                        handleEditKeyDown={handleEditKeyDown}
+                        handleToggle={handleToggle}
+                        handleDelete={handleDelete}
+                        handleDueChange={handleDueChange}
+                        handleRecurrenceChange={handleRecurrenceChange}
+                        handlePriorityChange={handlePriorityChange}
+                        onOpenDetail={setDetailId}
+                      />
+                    );
+                  })}
+                  {isSearching && !dragRows.length && !isLoading && (
+                    <li className="todo-item hint">No items match “{search.trim()}”.</li>
+                  )}
+                  {isLoading && <li className="todo-item">Loading...</li>}
+                  {dataError && <li className="todo-item hint error">{dataError}</li>}
+                </ul>
+              </SortableContext>
+
+              <DragOverlay dropAnimation={{ duration: 140, easing: "cubic-bezier(.2,.8,.2,1)" }}>
+                {activeItem ? (
+                  <div className="drag-overlay">
+                    <span className="icon-btn drag-handle" aria-hidden="true">
+                      ≡
+                    </span>
+                    <div className="slot" aria-hidden="true" />
+                    <div className="overlay-text">
+                      {dragProjection?.parentId && (
+                        <span className="overlay-parent">
+                          ↳ {items.find((i) => i.id === dragProjection.parentId)?.content} ·{" "}
+                        </span>
+                      )}
+                      {activeItem.content}
+                      {draggedIds.length > 1 && (
+                        <span className="overlay-count"> +{draggedIds.length - 1} more</span>
+                      )}
+                    </div>
+                    <div className="overlay-delete" aria-hidden="true">
+                      <span className="icon-btn">✕</span>
+                    </div>
+                  </div>
+                ) : null}
+              </DragOverlay>
+            </DndContext>
+          )}
+        </main>
+
+        {detailItem && (
+          <ItemDetail
+            key={detailItem.id}
+            item={detailItem}
+            listName={lists.find((list) => list.id === detailItem.listId)?.name}
+            readOnly={viewOnlyListIds.has(detailItem.listId)}
+            activity={activity.filter((entry) => entry.itemId === detailItem.id).reverse()}
+            listNames={listNames}
+            actorName={(actorId) => personName(actorId, userId, memberEmails)}
+            now={now}
+            onSaveNotes={handleNotesChange}
+            onClose={closeDetail}
+          />
+        )}
+      </div>
+
+      {isPaletteOpen && (
+        <CommandPalette
+          commands={getPaletteCommands()}
+          items={items}
+          lists={lists}
+          onRunCommand={runPaletteCommand}
+          onOpenItem={openItem}
+          onClose={() => setIsPaletteOpen(false)}
+        />
+      )}
+
+      {toast && (
+        <div className="toast" role="status">
+          <span>{toast.message}</span>
+          {toast.action && (
+            <button
+              type="button"
+              onClick={toast.action === "redo" ? handleRedo : handleUndo}
+            >
+              {toast.action === "redo" ? "Redo" : "Undo"}
+            </button>
+          )}
+        </div>
+      )}
     </div>
   );
 }
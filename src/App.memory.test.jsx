@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// The backend is read once, when App loads, so the URL has to ask for it first.
+window.history.replaceState(null, "", "/?storage=memory");
+const { default: App } = await import("./App");
+
+async function addItem(text) {
+  const input = screen.getByRole("textbox", { name: "New item" });
+  fireEvent.change(input, { target: { value: text } });
+  await act(async () => fireEvent.submit(input.closest("form")));
+}
+
+describe("memory storage", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    window.history.replaceState(null, "", "/");
+  });
+
+  it("works like guest mode without writing to the browser", async () => {
+    const setItem = vi.spyOn(Storage.prototype, "setItem");
+    await act(async () => render(<App />));
+    expect(screen.getByText(/Demo mode: nothing is saved/)).toBeTruthy();
+
+    await addItem("Buy milk");
+    fireEvent.click(screen.getByRole("checkbox", { name: "Buy milk" }));
+    expect(screen.getByRole("checkbox", { name: "Buy milk" }).checked).toBe(true);
+
+    const keys = setItem.mock.calls.map(([key]) => key);
+    expect(keys.filter((key) => key.startsWith("todo-guest-"))).toEqual([]);
+  });
+
+  it("starts over on a reload", async () => {
+    await act(async () => render(<App />));
+    await addItem("Buy milk");
+    cleanup();
+
+    await act(async () => render(<App />));
+    expect(screen.queryByRole("checkbox", { name: "Buy milk" })).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// A signed-in session against a Supabase project that can be taken offline.
+const server = vi.hoisted(() => {
+  const state = {
+    online: false,
+    rows: {},
+    writes: [],
+  };
+  const result = (data) =>
+    state.online
+      ? { data, error: null, status: 200 }
+      : { data: null, error: { message: "Failed to fetch" }, status: 0 };
+
+  function query(table) {
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      limit: () => builder,
+      eq: () => builder,
+      in: () => builder,
+      delete: () => builder,
+      update: () => builder,
+      insert: (records) => write(table, records),
+      upsert: (records) => write(table, records),
+      then: (resolve, reject) =>
+        Promise.resolve(result(state.rows[table] ?? [])).then(resolve, reject),
+    };
+    return builder;
+  }
+
+  function write(table, records) {
+    if (state.online) state.writes.push({ table, records });
+    return Promise.resolve(result(null));
+  }
+
+  const channel = { on: () => channel, subscribe: () => channel };
+  const session = { user: { id: "user-1", email: "sam@example.com" } };
+  state.client = {
+    from: query,
+    rpc: () => Promise.resolve(result([])),
+    channel: () => channel,
+    removeChannel: () => {},
+    auth: {
+      getSession: () => Promise.resolve({ data: { session } }),
+      onAuthStateChange: () => ({ data: { subscription: { unsubscribe: () => {} } } }),
+      signOut: () => Promise.resolve({ error: null }),
+    },
+  };
+  return state;
+});
+
+vi.mock("./lib/supabaseClient", () => ({ supabase: server.client }));
+
+const { default: App } = await import("./App");
+
+describe("signing in offline", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    server.online = false;
+    server.writes = [];
+    server.rows = {
+      todo_lists: [{ id: "list-1", name: "Inbox", position: 0, user_id: "user-1" }],
+    };
+  });
+
+  afterEach(cleanup);
+
+  it("doesn't take new items until the account has loaded", async () => {
+    await act(async () => render(<App />));
+    expect(await screen.findByText("Failed to fetch")).toBeTruthy();
+    expect(screen.queryByRole("textbox", { name: "New item" })).toBeNull();
+
+    server.online = true;
+    await act(async () => window.dispatchEvent(new Event("online")));
+    const input = await screen.findByRole("textbox", { name: "New item" });
+    expect(screen.getByRole("heading", { name: "Inbox" })).toBeTruthy();
+
+    fireEvent.change(input, { target: { value: "Buy milk" } });
+    await act(async () => fireEvent.submit(input.closest("form")));
+
+    await waitFor(() => {
+      const todos = server.writes.filter((write) => write.table === "todos");
+      expect(todos.flatMap((write) => write.records)).toEqual([
+        expect.objectContaining({ title: "Buy milk", list_id: "list-1" }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+// @vitest-environment jsdom
+import { act, cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import App from "./App";
+
+async function addItem(text) {
+  const input = screen.getByRole("textbox", { name: "New item" });
+  fireEvent.change(input, { target: { value: text } });
+  await act(async () => fireEvent.submit(input.closest("form")));
+}
+
+function storedKeysWritten(spy) {
+  return spy.mock.calls.map(([key]) => key);
+}
+
+describe("guest storage", () => {
+  beforeEach(async () => {
+    window.localStorage.clear();
+    await act(async () => render(<App />));
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it("saves the default list with the first item and leaves it alone after that", async () => {
+    const setItem = vi.spyOn(Storage.prototype, "setItem");
+    await addItem("Buy milk");
+    expect(storedKeysWritten(setItem)).toContain("todo-guest-lists");
+
+    setItem.mockClear();
+    await addItem("Call dentist");
+    fireEvent.click(screen.getByRole("checkbox", { name: "Buy milk" }));
+    expect(storedKeysWritten(setItem)).toContain("todo-guest-items");
+    expect(storedKeysWritten(setItem)).not.toContain("todo-guest-lists");
+  });
+});
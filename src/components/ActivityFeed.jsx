@@ -0,0 +1,36 @@
+import ActivityLog from "./ActivityLog";
+
+const FEED_LIMIT = 50;
+
+// The list's recent activity; entries for items that still exist open them.
+export default function ActivityFeed({
+  list,
+  entries,
+  listNames,
+  actorName,
+  now,
+  itemIds,
+  onOpenItem,
+  onClose,
+}) {
+  const recent = entries.slice(-FEED_LIMIT).reverse();
+
+  return (
+    <section className="activity-feed" aria-label="Recent activity">
+      <div className="tag-manager-header">
+        <h2>Recent activity in “{list.name}”</h2>
+        <button type="button" onClick={onClose}>
+          Done
+        </button>
+      </div>
+      <ActivityLog
+        entries={recent}
+        listNames={listNames}
+        actorName={actorName}
+        now={now}
+        openableIds={itemIds}
+        onOpenItem={onOpenItem}
+      />
+    </section>
+  );
+}
@@ -0,0 +1,42 @@
+import { describeActivity, formatActivityTime } from "../lib/activity";
+
+// Newest first. `actorName` turns an actor id into something to show, or "" for none.
+// Entries whose item is in `openableIds` link to it through onOpenItem.
+export default function ActivityLog({
+  entries,
+  listNames,
+  actorName,
+  now,
+  openableIds = null,
+  onOpenItem = null,
+}) {
+  if (!entries.length) return <p className="hint">Nothing has happened here yet.</p>;
+
+  return (
+    <ol className="activity-log">
+      {entries.map((entry) => {
+        const who = actorName(entry.actorId);
+        const label = describeActivity(entry, listNames);
+        return (
+          <li key={entry.id} className={`activity-${entry.kind}`}>
+            {onOpenItem && openableIds?.has(entry.itemId) ? (
+              <button
+                type="button"
+                className="activity-label"
+                onClick={() => onOpenItem(entry.itemId)}
+              >
+                {label}
+              </button>
+            ) : (
+              <span className="activity-label">{label}</span>
+            )}
+            <span className="hint">
+              {who && `${who} · `}
+              <time dateTime={entry.at}>{formatActivityTime(entry.at, now)}</time>
+            </span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,26 @@
+import useNow from "../lib/useNow";
+
+// Ticks every second on its own, so the rest of the page doesn't re-render with it.
+export default function Clock() {
+  const now = useNow(1000);
+
+  return (
+    <div className="header">
+      <div className="date">
+        {now.toLocaleDateString(undefined, {
+          weekday: "long",
+          month: "long",
+          day: "numeric",
+          year: "numeric",
+        })}
+      </div>
+      <div className="time">
+        {now.toLocaleTimeString(undefined, {
+          hour: "2-digit",
+          minute: "2-digit",
+          second: "2-digit",
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useEffect, useMemo, useState } from "react";
+import { fuzzyFilter } from "../lib/fuzzy";
+
+const MAX_COMMANDS = 8;
+const MAX_ITEMS = 8;
+
+// Commands are { id, label, shortcut? }; typing also searches items in every list.
+export default function CommandPalette({
+  commands,
+  items,
+  lists,
+  onRunCommand,
+  onOpenItem,
+  onClose,
+}) {
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const results = useMemo(() => {
+    const commandResults = fuzzyFilter(commands, query, (c) => c.label, MAX_COMMANDS).map(
+      (command) => ({
+        key: `command-${command.id}`,
+        label: command.label,
+        hint: command.shortcut,
+        run: () => onRunCommand(command.id),
+      })
+    );
+    if (!query.trim()) return commandResults;
+
+    const listNames = new Map(lists.map((list) => [list.id, list.name]));
+    const itemResults = fuzzyFilter(items, query, (item) => item.content, MAX_ITEMS).map((item) => ({
+      key: `item-${item.id}`,
+      label: item.content,
+      hint: listNames.get(item.listId),
+      isCompleted: item.isCompleted,
+      run: () => onOpenItem(item),
+    }));
+    return [...commandResults, ...itemResults];
+  }, [commands, items, lists, onOpenItem, onRunCommand, query]);
+
+  const selectedIndex = Math.min(activeIndex, results.length - 1);
+
+  // hand focus back to wherever it was, unless the command moved it
+  useEffect(() => {
+    const previous = document.activeElement;
+    return () => {
+      if (document.activeElement === document.body && previous instanceof HTMLElement) {
+        previous.focus();
+      }
+    };
+  }, []);
+
+  function run(result) {
+    onClose();
+    result.run();
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!results.length) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex((selectedIndex + step + results.length) % results.length);
+    }
+    if (e.key === "Enter") {
+      e.preventDefault();
+      if (results[selectedIndex]) run(results[selectedIndex]);
+    }
+    if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  }
+
+  return (
+    <div
+      className="palette-backdrop"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Type a command or search items…"
+          role="combobox"
+          aria-label="Command or item"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results[selectedIndex] ? `palette-${results[selectedIndex].key}` : undefined}
+          autoFocus
+        />
+        <ul id="palette-results" role="listbox">
+          {results.map((result, index) => (
+            <li
+              key={result.key}
+              id={`palette-${result.key}`}
+              role="option"
+              aria-selected={index === selectedIndex}
+              className={index === selectedIndex ? "active" : ""}
+              onMouseMove={() => setActiveIndex(index)}
+              // keeps focus in the input so the key handler stays in charge
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => run(result)}
+            >
+              <span className={result.isCompleted ? "completed" : ""}>{result.label}</span>
+              {result.hint && <span className="hint">{result.hint}</span>}
+            </li>
+          ))}
+        </ul>
+        {!results.length && <div className="hint palette-empty">Nothing matches “{query.trim()}”.</div>}
+      </div>
+    </div>
+  );
+}
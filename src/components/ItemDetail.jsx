@@ -0,0 +1,107 @@
+import { useState } from "react";
+import ActivityLog from "./ActivityLog";
+import MarkdownView from "./MarkdownView";
+
+// Notes are edited as a draft and saved in one go, so each save is one undo step.
+export default function ItemDetail({
+  item,
+  listName,
+  readOnly = false,
+  activity = [],
+  listNames,
+  actorName,
+  now,
+  onSaveNotes,
+  onClose,
+}) {
+  const notes = item.notes ?? "";
+  const [draft, setDraft] = useState(notes);
+  const [isEditing, setIsEditing] = useState(!notes && !readOnly);
+
+  function save() {
+    const next = draft.replace(/\s+$/, "");
+    if (next !== notes) onSaveNotes(item.id, next);
+    setIsEditing(false);
+  }
+
+  function cancel() {
+    setDraft(notes);
+    setIsEditing(false);
+  }
+
+  return (
+    <aside
+      className="item-detail"
+      aria-labelledby="item-detail-title"
+      onKeyDown={(e) => {
+        if (e.key !== "Escape") return;
+        e.stopPropagation();
+        if (isEditing && notes) cancel();
+        else onClose();
+      }}
+    >
+      <div className="item-detail-header">
+        <div>
+          <h2 id="item-detail-title" className={item.isCompleted ? "completed" : ""}>
+            {item.content}
+          </h2>
+          {listName && <div className="hint">{listName}</div>}
+        </div>
+        <button type="button" className="icon-btn" aria-label="Close details" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+
+      {isEditing ? (
+        <>
+          <textarea
+            className="notes-input"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                save();
+              }
+            }}
+            rows={10}
+            placeholder="Notes. Markdown works: **bold**, *italic*, [links](https://…), lists and `code`."
+            aria-label="Notes"
+            autoFocus
+          />
+          <div className="item-detail-actions">
+            <button type="button" className="primary-btn" onClick={save}>
+              Save
+            </button>
+            {notes && (
+              <button type="button" onClick={cancel}>
+                Cancel
+              </button>
+            )}
+            <span className="hint">Ctrl/Cmd+Enter saves</span>
+          </div>
+        </>
+      ) : (
+        <>
+          {notes ? <MarkdownView source={notes} /> : <p className="hint">No notes.</p>}
+          {!readOnly && (
+            <div className="item-detail-actions">
+              <button
+                type="button"
+                onClick={() => {
+                  setDraft(notes);
+                  setIsEditing(true);
+                }}
+              >
+                Edit notes
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      <h3 className="item-detail-subheading">Activity</h3>
+      <ActivityLog entries={activity} listNames={listNames} actorName={actorName} now={now} />
+    </aside>
+  );
+}
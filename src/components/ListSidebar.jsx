@@ -0,0 +1,146 @@
+import { useState } from "react";
+
+export default function ListSidebar({
+  lists,
+  activeListId,
+  counts,
+  currentUserId = null,
+  sharedListIds = new Set(),
+  onSelect,
+  onCreate,
+  onRename,
+  onMove,
+  onDelete,
+}) {
+  const [newName, setNewName] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+
+  function handleCreate(e) {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    onCreate(name);
+    setNewName("");
+  }
+
+  function startRename(list) {
+    setRenamingId(list.id);
+    setRenameText(list.name);
+  }
+
+  function commitRename(id) {
+    const name = renameText.trim();
+    const list = lists.find((l) => l.id === id);
+    if (name && list && name !== list.name) onRename(id, name);
+    setRenamingId(null);
+  }
+
+  function handleRenameKeyDown(e, id) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      commitRename(id);
+    }
+    if (e.key === "Escape") {
+      setRenamingId(null);
+    }
+  }
+
+  // someone else's list, shared with this user: only its owner renames, moves or deletes it
+  function isGuestOf(list) {
+    return Boolean(list.ownerId && currentUserId && list.ownerId !== currentUserId);
+  }
+
+  function handleDelete(list) {
+    const total = counts[list.id]?.total || 0;
+    if (total && !window.confirm(`Delete "${list.name}" and its ${total} items?`)) return;
+    onDelete(list.id);
+  }
+
+  return (
+    <aside className="list-sidebar">
+      <h2>Lists</h2>
+      <ul className="list-nav">
+        {lists.map((list, index) => (
+          <li key={list.id} className={list.id === activeListId ? "active" : ""}>
+            {renamingId === list.id ? (
+              <input
+                className="edit-input"
+                type="text"
+                value={renameText}
+                onChange={(e) => setRenameText(e.target.value)}
+                onBlur={() => commitRename(list.id)}
+                onKeyDown={(e) => handleRenameKeyDown(e, list.id)}
+                aria-label="List name"
+                autoFocus
+              />
+            ) : (
+              <button
+                type="button"
+                className="list-name"
+                onClick={() => onSelect(list.id)}
+                onDoubleClick={() => !isGuestOf(list) && startRename(list)}
+              >
+                <span>{list.name}</span>
+                {sharedListIds.has(list.id) && (
+                  <span className="list-shared" title="Shared" aria-label="Shared">
+                    👥
+                  </span>
+                )}
+                {counts[list.id]?.open ? (
+                  <span className="list-count">{counts[list.id].open}</span>
+                ) : null}
+              </button>
+            )}
+            {list.id === activeListId && renamingId !== list.id && !isGuestOf(list) && (
+              <div className="list-actions">
+                <button type="button" className="icon-btn" aria-label="Rename list" onClick={() => startRename(list)}>
+                  ✎
+                </button>
+                <button
+                  type="button"
+                  className="icon-btn"
+                  aria-label="Move list up"
+                  disabled={index === 0}
+                  onClick={() => onMove(list.id, -1)}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="icon-btn"
+                  aria-label="Move list down"
+                  disabled={index === lists.length - 1}
+                  onClick={() => onMove(list.id, 1)}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="icon-btn"
+                  aria-label="Delete list"
+                  disabled={lists.length <= 1}
+                  onClick={() => handleDelete(list)}
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form className="list-add" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New list"
+          aria-label="New list name"
+        />
+        <button type="submit" aria-label="Add list">
+          +
+        </button>
+      </form>
+    </aside>
+  );
+}
@@ -0,0 +1,60 @@
+import { useMemo } from "react";
+import { parseMarkdown } from "../lib/markdown";
+
+function renderInline(nodes) {
+  return nodes.map((node, index) => {
+    if (node.type === "text") return node.text;
+    if (node.type === "code") return <code key={index}>{node.text}</code>;
+    if (node.type === "strong") return <strong key={index}>{renderInline(node.children)}</strong>;
+    if (node.type === "em") return <em key={index}>{renderInline(node.children)}</em>;
+    // hrefs only ever come out of safeUrl
+    return (
+      <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+        {renderInline(node.children)}
+      </a>
+    );
+  });
+}
+
+function renderLines(lines) {
+  return lines.map((line, index) => (
+    <span key={index}>
+      {index > 0 && <br />}
+      {renderInline(line)}
+    </span>
+  ));
+}
+
+export default function MarkdownView({ source }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  return (
+    <div className="markdown">
+      {blocks.map((block, index) => {
+        if (block.type === "heading") {
+          const Heading = `h${block.level + 2}`;
+          return <Heading key={index}>{renderInline(block.children)}</Heading>;
+        }
+        if (block.type === "list") {
+          const List = block.ordered ? "ol" : "ul";
+          return (
+            <List key={index}>
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(item)}</li>
+              ))}
+            </List>
+          );
+        }
+        if (block.type === "quote") return <blockquote key={index}>{renderLines(block.lines)}</blockquote>;
+        if (block.type === "code") {
+          return (
+            <pre key={index}>
+              <code>{block.text}</code>
+            </pre>
+          );
+        }
+        return <p key={index}>{renderLines(block.lines)}</p>;
+      })}
+    </div>
+  );
+}
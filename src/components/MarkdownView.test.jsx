@@ -0,0 +1,37 @@
+// @vitest-environment jsdom
+import { cleanup, render } from "@testing-library/react";
+import { afterEach, describe, expect, it } from "vitest";
+import MarkdownView from "./MarkdownView";
+
+const SAFE_HREF = /^(https?:\/\/|mailto:)/;
+
+afterEach(cleanup);
+
+describe("MarkdownView", () => {
+  it("only renders http(s) and mailto links", () => {
+    const source = [
+      "[a](javascript:alert(1)) [b](JaVaScRiPt:alert(1)) [c](java\u0000script:alert(1))",
+      "[d](data:text/html,hi) [e](vbscript:msgbox) [f](/relative) [g](//example.com)",
+      "- [h](https://example.com) and www.example.org",
+      "> [i](mailto:sam@example.com)",
+      '<a href="javascript:alert(1)">raw</a> <img src=x onerror=alert(1)>',
+    ].join("\n\n");
+    const { container } = render(<MarkdownView source={source} />);
+
+    const hrefs = [...container.querySelectorAll("[href]")].map((node) => node.getAttribute("href"));
+    expect(hrefs).toEqual([
+      "https://example.com/",
+      "https://www.example.org/",
+      "mailto:sam@example.com",
+    ]);
+    hrefs.forEach((href) => expect(href).toMatch(SAFE_HREF));
+    expect(container.querySelector("img, script, [onerror]")).toBeNull();
+  });
+
+  it("opens links in a new tab without an opener", () => {
+    const { container } = render(<MarkdownView source="[docs](https://example.com)" />);
+    const link = container.querySelector("a");
+    expect(link.getAttribute("target")).toBe("_blank");
+    expect(link.getAttribute("rel")).toContain("noopener");
+  });
+});
@@ -0,0 +1,69 @@
+const SHOWN_DUPLICATES = 20;
+
+export default function MergeReview({ review, onMerge }) {
+  const { guest, duplicates, isMerging, error } = review;
+  const count = guest.items.length;
+  const newCount = count - duplicates.length;
+
+  function handleDiscard() {
+    if (!window.confirm(`Discard ${count} ${count === 1 ? "item" : "items"} from this device?`)) return;
+    onMerge("discard");
+  }
+
+  return (
+    <section className="merge-review" role="dialog" aria-labelledby="merge-review-title">
+      <h2 id="merge-review-title">
+        {count} {count === 1 ? "item" : "items"} from this device
+      </h2>
+      <div className="hint">
+        These were added while you were signed out.{" "}
+        {duplicates.length
+          ? `${duplicates.length} of them look like items already in your account.`
+          : "None of them are in your account yet."}
+      </div>
+
+      {duplicates.length > 0 && (
+        <ul className="merge-duplicates">
+          {duplicates.slice(0, SHOWN_DUPLICATES).map(({ item, match, kind }) => (
+            <li key={item.id}>
+              “{item.content}”{" "}
+              <span className="hint">
+                {kind === "identical" ? "is already there" : `looks like “${match.content}”`}
+              </span>
+            </li>
+          ))}
+          {duplicates.length > SHOWN_DUPLICATES && (
+            <li className="hint">…and {duplicates.length - SHOWN_DUPLICATES} more</li>
+          )}
+        </ul>
+      )}
+
+      {error && <div className="hint error">Merge failed: {error}. Your items are still on this device.</div>}
+
+      <div className="merge-actions">
+        {duplicates.length > 0 && (
+          <button
+            type="button"
+            className="primary-btn"
+            disabled={isMerging}
+            onClick={() => onMerge("skip")}
+          >
+            {newCount ? `Merge ${newCount}, skip duplicates` : "Skip duplicates"}
+          </button>
+        )}
+        <button
+          type="button"
+          className={duplicates.length ? "" : "primary-btn"}
+          disabled={isMerging}
+          onClick={() => onMerge("all")}
+        >
+          Merge all
+        </button>
+        <button type="button" disabled={isMerging} onClick={handleDiscard}>
+          Discard
+        </button>
+        {isMerging && <span className="hint">Merging…</span>}
+      </div>
+    </section>
+  );
+}
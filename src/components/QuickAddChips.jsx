@@ -0,0 +1,63 @@
+import { formatDue } from "../lib/dueDates";
+import { PRIORITY_LABELS } from "../lib/priorities";
+import { describeRecurrence } from "../lib/recurrence";
+import { findTagByName } from "../lib/tags";
+
+// What the add row picked out of the draft, one chip per thing the new item
+// will get. Clicking a chip keeps those words as text instead (onEscape gets
+// the parts to escape).
+export default function QuickAddChips({ parsed, tags, now, onEscape }) {
+  if (!parsed.parts.length) return null;
+
+  const partsOf = (...fields) => parsed.parts.filter((part) => fields.includes(part.field));
+  const chips = [];
+  if (parsed.dueAt) {
+    chips.push({
+      key: "due",
+      label: `Due ${formatDue(parsed.dueAt, now)}`,
+      parts: partsOf("date", "time"),
+    });
+  }
+  if (parsed.priority) {
+    chips.push({
+      key: "priority",
+      label: `! ${PRIORITY_LABELS[parsed.priority]}`,
+      parts: partsOf("priority"),
+    });
+  }
+  parsed.tagNames.forEach((name) => {
+    const tag = findTagByName(tags, name);
+    chips.push({
+      key: `tag-${name.toLowerCase()}`,
+      label: tag ? `#${tag.name}` : `#${name} (new)`,
+      color: tag?.color,
+      parts: partsOf("tags").filter(
+        (part) => part.text.replace(/^#|[,;:?!.]+$/g, "").toLowerCase() === name.toLowerCase()
+      ),
+    });
+  });
+  if (parsed.recurrence) {
+    chips.push({
+      key: "recurrence",
+      label: `↻ ${describeRecurrence(parsed.recurrence)}`,
+      parts: partsOf("recurrence"),
+    });
+  }
+
+  return (
+    <div className="quick-add-chips" role="group" aria-label="Picked out of the new item">
+      {chips.map((chip) => (
+        <button
+          key={chip.key}
+          type="button"
+          className={`tag-chip quick-add-${chip.key.split("-")[0]}`}
+          style={chip.color ? { "--tag-color": chip.color } : undefined}
+          title={`Keep “${chip.parts.map((part) => part.text).join(" ")}” as text`}
+          onClick={() => onEscape(chip.parts)}
+        >
+          {chip.label} <span aria-hidden="true">×</span>
+        </button>
+      ))}
+    </div>
+  );
+}
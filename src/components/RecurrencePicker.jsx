@@ -0,0 +1,89 @@
+import { useState } from "react";
+import {
+  RECURRENCE_TYPES,
+  WEEKDAY_LABELS,
+  defaultRecurrence,
+  normalizeRecurrence,
+} from "../lib/recurrence";
+
+// Edits a draft of the rule and only saves on "Set", so one change is one undo step.
+export default function RecurrencePicker({ rule, anchor, onSave, onCancel }) {
+  const [draft, setDraft] = useState(rule);
+
+  function toggleWeekday(day) {
+    const weekdays = draft.weekdays.includes(day)
+      ? draft.weekdays.filter((d) => d !== day)
+      : [...draft.weekdays, day];
+    setDraft({ ...draft, weekdays });
+  }
+
+  return (
+    <div
+      className="recurrence-picker"
+      onPointerDown={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onCancel();
+      }}
+    >
+      <select
+        value={draft?.type ?? ""}
+        onChange={(e) => setDraft(defaultRecurrence(e.target.value, anchor))}
+        aria-label="Repeat"
+        autoFocus
+      >
+        <option value="">Never</option>
+        {Object.entries(RECURRENCE_TYPES).map(([type, label]) => (
+          <option key={type} value={type}>
+            {label}
+          </option>
+        ))}
+      </select>
+
+      {draft?.type === "weekly" &&
+        WEEKDAY_LABELS.map((label, day) => (
+          <label key={label} className="weekday-toggle">
+            <input
+              type="checkbox"
+              checked={draft.weekdays.includes(day)}
+              onChange={() => toggleWeekday(day)}
+            />
+            {label}
+          </label>
+        ))}
+
+      {draft?.type === "monthly" && (
+        <label>
+          on day{" "}
+          <input
+            type="number"
+            min={1}
+            max={31}
+            value={draft.day}
+            onChange={(e) => setDraft({ ...draft, day: e.target.value })}
+          />
+        </label>
+      )}
+
+      {draft?.type === "days" && (
+        <label>
+          every{" "}
+          <input
+            type="number"
+            min={1}
+            max={365}
+            value={draft.every}
+            onChange={(e) => setDraft({ ...draft, every: e.target.value })}
+          />{" "}
+          days
+        </label>
+      )}
+
+      <button type="button" className="meta-btn" onClick={() => onSave(normalizeRecurrence(draft))}>
+        Set
+      </button>
+      <button type="button" className="meta-btn" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+import { resendWait } from "../lib/auth";
+import useNow from "../lib/useNow";
+
+// Counts down to `resendAt` by itself, so only this button re-renders every second.
+// `label` gets the seconds left, 0 once another email can go.
+export default function ResendButton({ resendAt, label, disabled = false, ...props }) {
+  const now = useNow(1000, { until: resendAt ?? 0 });
+  const seconds = resendWait(resendAt, now);
+
+  return (
+    <button type="button" {...props} disabled={disabled || seconds > 0}>
+      {label(seconds)}
+    </button>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState } from "react";
+
+const ROLE_LABELS = { owner: "Owner", editor: "Can edit", viewer: "Can view" };
+
+// onInvite and onRemove resolve to an error message, or "" when it worked.
+export default function SharePanel({
+  list,
+  members,
+  currentUserId,
+  isOwner,
+  onInvite,
+  onRemove,
+  onClose,
+}) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const [error, setError] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  async function run(action) {
+    setIsBusy(true);
+    setError("");
+    const message = await action();
+    setIsBusy(false);
+    setError(message);
+    return !message;
+  }
+
+  async function handleInvite(e) {
+    e.preventDefault();
+    const address = email.trim();
+    if (!address) return;
+    if (await run(() => onInvite(address, role))) setEmail("");
+  }
+
+  function handleRemove(member) {
+    const isSelf = member.userId === currentUserId;
+    const question = isSelf
+      ? `Leave “${list.name}”? You'll lose access until you're invited again.`
+      : `Remove ${member.email} from “${list.name}”?`;
+    if (!window.confirm(question)) return;
+    run(() => onRemove(member));
+  }
+
+  const others = members.filter((member) => member.role !== "owner");
+  const self = members.find((member) => member.userId === currentUserId);
+
+  return (
+    <section className="share-panel" aria-label="Sharing">
+      <div className="tag-manager-header">
+        <h2>Share “{list.name}”</h2>
+        <button type="button" onClick={onClose}>
+          Done
+        </button>
+      </div>
+
+      <ul className="share-members">
+        {members.map((member) => (
+          <li key={member.id}>
+            <span>
+              {member.email}
+              {member.userId === currentUserId && <span className="hint"> (you)</span>}
+            </span>
+            {isOwner && member.role !== "owner" ? (
+              <>
+                <select
+                  value={member.role}
+                  disabled={isBusy}
+                  onChange={(e) => run(() => onInvite(member.email, e.target.value))}
+                  aria-label={`Access for ${member.email}`}
+                >
+                  <option value="editor">{ROLE_LABELS.editor}</option>
+                  <option value="viewer">{ROLE_LABELS.viewer}</option>
+                </select>
+                <button type="button" disabled={isBusy} onClick={() => handleRemove(member)}>
+                  Remove
+                </button>
+              </>
+            ) : (
+              <span className="hint">{ROLE_LABELS[member.role]}</span>
+            )}
+          </li>
+        ))}
+        {!others.length && <li className="hint">Only you can see this list.</li>}
+      </ul>
+
+      {isOwner ? (
+        <form className="share-invite" onSubmit={handleInvite}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Their account email"
+            aria-label="Email to invite"
+            required
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Access">
+            <option value="editor">{ROLE_LABELS.editor}</option>
+            <option value="viewer">{ROLE_LABELS.viewer}</option>
+          </select>
+          <button type="submit" className="primary-btn" disabled={isBusy}>
+            Invite
+          </button>
+        </form>
+      ) : (
+        self && (
+          <button type="button" disabled={isBusy} onClick={() => handleRemove(self)}>
+            Leave list
+          </button>
+        )
+      )}
+
+      {error && <div className="hint error">{error}</div>}
+    </section>
+  );
+}
@@ -1,10 +1,44 @@
-import { useMemo } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { useSortable } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
+import {
+  formatDue,
+  fromDateTimeInputValue,
+  getDueStatus,
+  toDateTimeInputValue,
+} from "../lib/dueDates";
+import { PRIORITY_LABELS } from "../lib/priorities";
+import { describeRecurrence } from "../lib/recurrence";
+import { highlightSegments } from "../lib/search";
+import RecurrencePicker from "./RecurrencePicker";
+
+const SYNC_LABELS = {
+  synced: "Synced",
+  pending: "Waiting to sync",
+  failed: "Failed to sync",
+};
 
 export default function SortableTodoItem({
   id,
   item,
+  depth = 0,
+  hasChildren = false,
+  progress = null,
+  isCollapsed = false,
+  onToggleCollapsed,
+  handleIndent,
+  handleOutdent,
+  searchQuery = null,
+  tags = [],
+  handleAddTag,
+  handleRemoveTag,
+  now,
+  syncState,
+  isSortable = true,
+  isSelected = false,
+  readOnly = false,
+  attribution = "",
+  onSelect,
   editingId,
   editingText,
   setEditingId,
@@ -13,7 +47,48 @@ export default function SortableTodoItem({
   handleEditKeyDown,
   handleToggle,
   handleDelete,
+  handleDueChange,
+  handleRecurrenceChange,
+  handlePriorityChange,
+  onOpenDetail,
 }) {
+  const [isEditingDue, setIsEditingDue] = useState(false);
+  const [dueDraft, setDueDraft] = useState("");
+  const [isEditingRecurrence, setIsEditingRecurrence] = useState(false);
+  const [isAddingTag, setIsAddingTag] = useState(false);
+  const [tagDraft, setTagDraft] = useState("");
+  const itemTags = useMemo(
+    () => (item.tagIds ?? []).map((tagId) => tags.find((t) => t.id === tagId)).filter(Boolean),
+    [item.tagIds, tags]
+  );
+
+  function commitTag() {
+    if (tagDraft.trim()) handleAddTag(item.id, tagDraft);
+    setTagDraft("");
+    setIsAddingTag(false);
+  }
+
+  // one change per edit, not one per digit typed or segment stepped
+  function commitDue() {
+    if (dueDraft !== toDateTimeInputValue(item.dueAt)) {
+      handleDueChange(item.id, fromDateTimeInputValue(dueDraft));
+    }
+    setIsEditingDue(false);
+  }
+  const dueStatus = getDueStatus(item, now);
+  const priority = item.priority ?? 0;
+  const isEditing = editingId === item.id;
+  const textRef = useRef(null);
+  const wasEditingRef = useRef(false);
+
+  // after an edit, focus goes back to the row so keyboard navigation keeps its place
+  useEffect(() => {
+    if (wasEditingRef.current && !isEditing && document.activeElement === document.body) {
+      textRef.current?.focus();
+    }
+    wasEditingRef.current = isEditing;
+  }, [isEditing]);
+
   const {
     attributes,
     listeners,
@@ -24,7 +99,7 @@ export default function SortableTodoItem({
     isDragging,
   } = useSortable({
     id,
-    disabled: false,
+    disabled: !isSortable || readOnly,
   });
 
   const style = useMemo(
@@ -33,8 +108,9 @@ export default function SortableTodoItem({
       transition,
       // keeps layout stable; doesn't change your CSS, only during drag
       opacity: isDragging ? 0.6 : undefined,
+      "--depth": depth,
     }),
-    [transform, transition, isDragging]
+    [transform, transition, isDragging, depth]
   );
 
   const handlePointerDown = (event) => {
@@ -43,8 +119,28 @@ export default function SortableTodoItem({
     event.stopPropagation();
   };
 
+  // Shift-click picks a range, Ctrl/Cmd-click adds or removes one row.
+  const handleRowClick = (event) => {
+    if (!(event.shiftKey || event.metaKey || event.ctrlKey)) return;
+    if (event.target.closest("input, button, select, textarea")) return;
+    event.preventDefault();
+    onSelect(item.id, { range: event.shiftKey, toggle: event.metaKey || event.ctrlKey });
+  };
+
   return (
-    <li ref={setNodeRef} style={style} className="todo-item">
+    <li
+      ref={setNodeRef}
+      style={style}
+      className={`todo-item${depth ? " subtask" : ""}${dueStatus ? ` due-${dueStatus}` : ""}${
+        priority ? ` priority-${priority}` : ""
+      }${isSelected ? " selected" : ""}`}
+      data-item-id={item.id}
+      onClick={handleRowClick}
+      // stops shift-click from selecting the text in between
+      onMouseDown={(e) => {
+        if (e.shiftKey) e.preventDefault();
+      }}
+    >
       {/* drag handle (positioned outside to the left) */}
       <button
         type="button"
@@ -55,7 +151,9 @@ export default function SortableTodoItem({
         {...listeners}
         // prevents mobile scrolling interference (no visual style change)
         style={{ touchAction: "none" }}
-        aria-label="Drag to reorder"
+        aria-label={`Reorder “${item.content}”`}
+        disabled={!isSortable || readOnly}
+        title={isSortable || readOnly ? undefined : "Switch to manual order to drag"}
         onPointerDown={handlePointerDown}
       >
         ≡
@@ -66,55 +164,236 @@ export default function SortableTodoItem({
         className="todo-checkbox"
         type="checkbox"
         checked={item.isCompleted}
+        disabled={readOnly}
         onChange={(e) => handleToggle(item.id, e.target.checked)}
         onPointerDown={(e) => e.stopPropagation()}
+        aria-label={item.content}
       />
 
       {/* text / edit */}
-      {editingId === item.id ? (
-        <input
-          className="edit-input"
-          type="text"
-          value={editingText}
-          onChange={(e) => setEditingText(e.target.value)}
-          onBlur={() => commitEdit(item.id)}
-          onKeyDown={(e) => handleEditKeyDown(e, item.id)}
-          autoFocus
-          onPointerDown={(e) => e.stopPropagation()}
-        />
-      ) : (
-        <span
-          className={item.isCompleted ? "completed" : ""}
-          onClick={(e) => {
-            e.stopPropagation();
-            setEditingId(item.id);
-            setEditingText(item.content);
-          }}
-          onKeyDown={(e) => {
-            if (e.key === "Enter") {
-              e.preventDefault();
+      <div className="todo-content">
+        {isEditing ? (
+          <input
+            className="edit-input"
+            type="text"
+            value={editingText}
+            onChange={(e) => setEditingText(e.target.value)}
+            onBlur={() => commitEdit(item.id)}
+            onKeyDown={(e) => handleEditKeyDown(e, item.id)}
+            aria-label={`Edit “${item.content}”`}
+            autoFocus
+            onPointerDown={(e) => e.stopPropagation()}
+          />
+        ) : (
+          <span
+            ref={textRef}
+            className={`todo-text${item.isCompleted ? " completed" : ""}`}
+            onClick={(e) => {
+              if (readOnly || e.shiftKey || e.metaKey || e.ctrlKey) return;
+              e.stopPropagation();
               setEditingId(item.id);
               setEditingText(item.content);
-            }
-          }}
-          tabIndex={0}
-        >
-          {item.content}
-        </span>
+            }}
+            onKeyDown={(e) => {
+              if (readOnly) return;
+              if (e.key === "Enter") {
+                e.preventDefault();
+                setEditingId(item.id);
+                setEditingText(item.content);
+              }
+              if (e.key === "Tab") {
+                if (e.shiftKey ? handleOutdent(item.id) : handleIndent(item.id)) {
+                  e.preventDefault();
+                }
+              }
+            }}
+            tabIndex={0}
+          >
+            {searchQuery
+              ? highlightSegments(item.content, searchQuery).map((segment, index) =>
+                  segment.match ? <mark key={index}>{segment.text}</mark> : segment.text
+                )
+              : item.content}
+          </span>
+        )}
+
+        {/* subtasks, priority, notes, tags, due date + repeat */}
+        <div className="todo-meta">
+          {hasChildren && (
+            <button
+              type="button"
+              className="meta-btn subtask-toggle"
+              aria-expanded={!isCollapsed}
+              aria-label={isCollapsed ? "Show subtasks" : "Hide subtasks"}
+              onClick={() => onToggleCollapsed(item.id)}
+            >
+              {isCollapsed ? "▸" : "▾"} {progress.done}/{progress.total} done
+            </button>
+          )}
+          <select
+            className={`meta-btn priority-select${priority ? "" : " empty"}`}
+            value={priority}
+            disabled={readOnly}
+            onChange={(e) => handlePriorityChange(item.id, Number(e.target.value))}
+            onPointerDown={(e) => e.stopPropagation()}
+            aria-label={`Priority of “${item.content}”`}
+          >
+            {PRIORITY_LABELS.map((label, level) => (
+              <option key={label} value={level}>
+                {level ? `! ${label}` : "No priority"}
+              </option>
+            ))}
+          </select>
+          {(item.notes || !readOnly) && (
+            <button
+              type="button"
+              className={`meta-btn notes-badge${item.notes ? "" : " empty"}`}
+              onClick={() => onOpenDetail(item.id)}
+              aria-label={item.notes ? "Open notes" : "Add notes"}
+            >
+              {item.notes ? "✎ Notes" : "+ Notes"}
+            </button>
+          )}
+          {itemTags.map((tag) => (
+            <span key={tag.id} className="tag-chip" style={{ "--tag-color": tag.color }}>
+              #{tag.name}
+              {!readOnly && (
+                <button
+                  type="button"
+                  aria-label={`Remove tag ${tag.name}`}
+                  onClick={() => handleRemoveTag(item.id, tag.id)}
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          ))}
+          {readOnly ? null : isAddingTag ? (
+            <input
+              className="tag-input"
+              type="text"
+              list="tag-options"
+              value={tagDraft}
+              onChange={(e) => setTagDraft(e.target.value)}
+              onBlur={commitTag}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  commitTag();
+                }
+                if (e.key === "Escape") {
+                  setTagDraft("");
+                  setIsAddingTag(false);
+                }
+              }}
+              placeholder="tag"
+              aria-label="Add tag"
+              autoFocus
+              onPointerDown={(e) => e.stopPropagation()}
+            />
+          ) : (
+            <button
+              type="button"
+              className="meta-btn add-tag"
+              onClick={() => setIsAddingTag(true)}
+            >
+              + Tag
+            </button>
+          )}
+          {isEditingDue ? (
+            <>
+              <input
+                className="due-input"
+                type="datetime-local"
+                value={dueDraft}
+                onChange={(e) => setDueDraft(e.target.value)}
+                onBlur={commitDue}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    commitDue();
+                  }
+                  if (e.key === "Escape") setIsEditingDue(false);
+                }}
+                aria-label="Due date"
+                autoFocus
+                onPointerDown={(e) => e.stopPropagation()}
+              />
+              {item.dueAt && (
+                <button
+                  type="button"
+                  className="meta-btn"
+                  onPointerDown={(e) => e.preventDefault()}
+                  onClick={() => {
+                    handleDueChange(item.id, null);
+                    setIsEditingDue(false);
+                  }}
+                >
+                  Clear
+                </button>
+              )}
+            </>
+          ) : (
+            <button
+              type="button"
+              className={`meta-btn due-badge${item.dueAt ? "" : " empty"}${
+                dueStatus ? ` ${dueStatus}` : ""
+              }`}
+              disabled={readOnly}
+              onClick={() => {
+                setDueDraft(toDateTimeInputValue(item.dueAt));
+                setIsEditingDue(true);
+              }}
+            >
+              {item.dueAt
+                ? `${dueStatus === "overdue" ? "Overdue · " : "Due "}${formatDue(item.dueAt, now)}`
+                : "+ Due date"}
+            </button>
+          )}
+          {isEditingRecurrence ? (
+            <RecurrencePicker
+              rule={item.recurrence ?? null}
+              anchor={item.dueAt ? new Date(item.dueAt) : now}
+              onSave={(rule) => {
+                handleRecurrenceChange(item.id, rule);
+                setIsEditingRecurrence(false);
+              }}
+              onCancel={() => setIsEditingRecurrence(false)}
+            />
+          ) : (
+            <button
+              type="button"
+              className={`meta-btn recurrence-badge${item.recurrence ? "" : " empty"}`}
+              disabled={readOnly}
+              onClick={() => setIsEditingRecurrence(true)}
+            >
+              {item.recurrence ? `↻ ${describeRecurrence(item.recurrence)}` : "+ Repeat"}
+            </button>
+          )}
+          {attribution && <span className="attribution">{attribution}</span>}
+        </div>
+      </div>
+
+      {syncState && (
+        <span
+          className={`sync-dot ${syncState}`}
+          title={SYNC_LABELS[syncState]}
+          aria-label={SYNC_LABELS[syncState]}
+          role="img"
+        />
       )}
 
       {/* delete */}
-      <button
-        type="button"
-        className="icon-btn"
-        aria-label="Delete"
-        onPointerDown={(e) => {
-          e.stopPropagation();
-          handleDelete(item.id);
-        }}
-      >
-        ✕
-      </button>
+      {!readOnly && (
+        <button
+          type="button"
+          className="icon-btn"
+          aria-label={`Delete “${item.content}”`}
+          onClick={() => handleDelete(item.id)}
+        >
+          ✕
+        </button>
+      )}
     </li>
   );
 }
@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { cleanup, fireEvent, render, screen } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { toDateTimeInputValue } from "../lib/dueDates";
+import SortableTodoItem from "./SortableTodoItem";
+
+const item = {
+  id: "a",
+  content: "Pay rent",
+  isCompleted: false,
+  listId: "l1",
+  dueAt: new Date(2026, 9, 20, 9, 0).toISOString(),
+  tagIds: [],
+  priority: 0,
+  notes: "",
+};
+
+function renderItem(props = {}) {
+  const handleDueChange = vi.fn();
+  render(
+    <ul>
+      <SortableTodoItem
+        id={item.id}
+        item={item}
+        now={new Date(2026, 9, 19, 10, 0)}
+        handleDueChange={handleDueChange}
+        {...props}
+      />
+    </ul>
+  );
+  fireEvent.click(screen.getByRole("button", { name: /^Due / }));
+  return { handleDueChange, input: screen.getByLabelText("Due date") };
+}
+
+afterEach(cleanup);
+
+describe("SortableTodoItem due date", () => {
+  it("saves the date once, when the field loses focus", () => {
+    const { handleDueChange, input } = renderItem();
+    fireEvent.change(input, { target: { value: "2026-10-21T09:00" } });
+    fireEvent.change(input, { target: { value: "2026-10-22T09:00" } });
+    fireEvent.change(input, { target: { value: "2026-10-22T17:30" } });
+    expect(handleDueChange).not.toHaveBeenCalled();
+
+    fireEvent.blur(input);
+    expect(handleDueChange).toHaveBeenCalledTimes(1);
+    expect(handleDueChange).toHaveBeenCalledWith("a", new Date(2026, 9, 22, 17, 30).toISOString());
+  });
+
+  it("saves on Enter and drops the draft on Escape", () => {
+    const first = renderItem();
+    fireEvent.change(first.input, { target: { value: "2026-10-23T08:00" } });
+    fireEvent.keyDown(first.input, { key: "Enter" });
+    expect(first.handleDueChange).toHaveBeenCalledTimes(1);
+    cleanup();
+
+    const second = renderItem();
+    fireEvent.change(second.input, { target: { value: "2026-10-23T08:00" } });
+    fireEvent.keyDown(second.input, { key: "Escape" });
+    expect(second.handleDueChange).not.toHaveBeenCalled();
+  });
+
+  it("doesn't save when the date is left as it was", () => {
+    const { handleDueChange, input } = renderItem();
+    expect(input.value).toBe(toDateTimeInputValue(item.dueAt));
+    fireEvent.blur(input);
+    expect(handleDueChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+import { useMemo } from "react";
+import {
+  averageTimeToComplete,
+  completedPerDay,
+  completedPerWeek,
+  currentStreak,
+  formatDuration,
+  listProgress,
+} from "../lib/stats";
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const LABEL_SPACE = 16;
+
+// Bars drawn as SVG right here, one per { start, count }, labelled by `label(start)`.
+function BarChart({ title, buckets, label, describe }) {
+  const max = Math.max(1, ...buckets.map((bucket) => bucket.count));
+  const slot = CHART_WIDTH / buckets.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  const plotHeight = CHART_HEIGHT - LABEL_SPACE * 2;
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  // every label fits up to 14 bars; past that every other one
+  const labelEvery = buckets.length > 14 ? 2 : 1;
+
+  return (
+    <figure className="stats-chart">
+      <figcaption>{title}</figcaption>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label={`${title}: ${total} in total. ${buckets
+          .map((bucket) => `${describe(bucket.start)}: ${bucket.count}`)
+          .join(", ")}.`}
+      >
+        {buckets.map((bucket, index) => {
+          const height = (bucket.count / max) * plotHeight;
+          const x = index * slot + (slot - barWidth) / 2;
+          const y = LABEL_SPACE + plotHeight - height;
+          return (
+            <g key={bucket.start.getTime()}>
+              <rect x={x} y={y} width={barWidth} height={Math.max(height, 1)} rx={2}>
+                <title>{`${describe(bucket.start)}: ${bucket.count}`}</title>
+              </rect>
+              {bucket.count > 0 && (
+                <text className="stats-count" x={x + barWidth / 2} y={y - 4}>
+                  {bucket.count}
+                </text>
+              )}
+              {index % labelEvery === (buckets.length - 1) % labelEvery && (
+                <text className="stats-label" x={x + barWidth / 2} y={CHART_HEIGHT - 3}>
+                  {label(bucket.start)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
+
+const dayLabel = (date) => String(date.getDate());
+const dayDescription = (date) =>
+  date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+const weekLabel = (date) => date.toLocaleDateString(undefined, { month: "numeric", day: "numeric" });
+const weekDescription = (date) =>
+  `Week of ${date.toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+
+// Everything here is worked out from the items in this browser; nothing is sent anywhere.
+export default function StatsPanel({ items, lists, now, onClose }) {
+  const stats = useMemo(
+    () => ({
+      perDay: completedPerDay(items, now),
+      perWeek: completedPerWeek(items, now),
+      streak: currentStreak(items, now),
+      averageTime: averageTimeToComplete(items),
+      progress: listProgress(items, lists),
+    }),
+    [items, lists, now]
+  );
+
+  return (
+    <section className="stats-panel" aria-label="Statistics">
+      <div className="tag-manager-header">
+        <h2>Statistics</h2>
+        <button type="button" onClick={onClose}>
+          Done
+        </button>
+      </div>
+
+      <dl className="stats-figures">
+        <div>
+          <dt>Current streak</dt>
+          <dd>
+            {stats.streak} {stats.streak === 1 ? "day" : "days"}
+          </dd>
+        </div>
+        <div>
+          <dt>Average time to complete</dt>
+          <dd>{stats.averageTime === null ? "—" : formatDuration(stats.averageTime)}</dd>
+        </div>
+      </dl>
+
+      <BarChart
+        title="Completed per day"
+        buckets={stats.perDay}
+        label={dayLabel}
+        describe={dayDescription}
+      />
+      <BarChart
+        title="Completed per week"
+        buckets={stats.perWeek}
+        label={weekLabel}
+        describe={weekDescription}
+      />
+
+      <h3>Open and done by list</h3>
+      <ul className="stats-lists">
+        {stats.progress.map(({ list, open, done }) => {
+          const total = open + done;
+          const percent = total ? Math.round((done / total) * 100) : 0;
+          return (
+            <li key={list.id}>
+              <span className="stats-list-name">{list.name}</span>
+              <span
+                className="stats-ratio"
+                role="img"
+                aria-label={`${done} done, ${open} open`}
+                style={{ "--done": `${percent}%` }}
+              />
+              <span className="hint">
+                {done} done · {open} open
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
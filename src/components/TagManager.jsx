@@ -0,0 +1,91 @@
+import { useState } from "react";
+
+export default function TagManager({ tags, counts, onUpdate, onMerge, onDelete, onClose }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+
+  function startRename(tag) {
+    setRenamingId(tag.id);
+    setRenameText(tag.name);
+  }
+
+  function commitRename(id) {
+    if (renameText.trim()) onUpdate(id, { name: renameText });
+    setRenamingId(null);
+  }
+
+  function handleDelete(tag) {
+    const count = counts[tag.id] || 0;
+    if (count && !window.confirm(`Remove #${tag.name} from ${count} items?`)) return;
+    onDelete(tag.id);
+  }
+
+  return (
+    <section className="tag-manager" aria-label="Manage tags">
+      <div className="tag-manager-header">
+        <h2>Tags</h2>
+        <button type="button" onClick={onClose}>
+          Done
+        </button>
+      </div>
+      {!tags.length && <div className="hint">No tags yet. Add one from any item.</div>}
+      <ul>
+        {tags.map((tag) => (
+          <li key={tag.id}>
+            <input
+              type="color"
+              value={tag.color}
+              onChange={(e) => onUpdate(tag.id, { color: e.target.value })}
+              aria-label={`Colour of #${tag.name}`}
+            />
+            {renamingId === tag.id ? (
+              <input
+                className="edit-input"
+                type="text"
+                value={renameText}
+                onChange={(e) => setRenameText(e.target.value)}
+                onBlur={() => commitRename(tag.id)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    commitRename(tag.id);
+                  }
+                  if (e.key === "Escape") setRenamingId(null);
+                }}
+                aria-label="Tag name"
+                autoFocus
+              />
+            ) : (
+              <button type="button" className="tag-name" onClick={() => startRename(tag)}>
+                #{tag.name} <span className="list-count">{counts[tag.id] || 0}</span>
+              </button>
+            )}
+            <select
+              value=""
+              onChange={(e) => e.target.value && onMerge(tag.id, e.target.value)}
+              aria-label={`Merge #${tag.name} into`}
+              disabled={tags.length < 2}
+            >
+              <option value="">Merge into…</option>
+              {tags
+                .filter((other) => other.id !== tag.id)
+                .map((other) => (
+                  <option key={other.id} value={other.id}>
+                    #{other.name}
+                  </option>
+                ))}
+            </select>
+            <button
+              type="button"
+              className="icon-btn"
+              aria-label={`Delete #${tag.name}`}
+              onClick={() => handleDelete(tag)}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,193 @@
+import { useState } from "react";
+import {
+  EXPORT_FORMATS,
+  detectFormat,
+  downloadText,
+  exportCsv,
+  exportJson,
+  exportMarkdown,
+  parseImport,
+} from "../lib/transfer";
+
+const PREVIEW_LIMIT = 50;
+
+// Leave out onImport for a list this user can only view.
+export default function TransferPanel({ list, listItems, tags, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [format, setFormat] = useState("auto");
+  const [mode, setMode] = useState("append");
+  const [error, setError] = useState("");
+
+  const resolvedFormat = format === "auto" ? detectFormat(text, fileName) : format;
+
+  let preview = null;
+  let parseError = "";
+  if (text.trim()) {
+    try {
+      preview = parseImport(text, resolvedFormat);
+    } catch (err) {
+      parseError = err.message || "Could not read this file.";
+    }
+  }
+
+  function handleExport(kind) {
+    const safeName = list.name.replace(/[\\/:*?"<>|]+/g, "-") || "list";
+    const { extension, mime } = EXPORT_FORMATS[kind];
+    const content =
+      kind === "json"
+        ? exportJson(list, listItems, tags)
+        : kind === "csv"
+        ? exportCsv(listItems, tags)
+        : exportMarkdown(list, listItems);
+    downloadText(content, `${safeName}.${extension}`, mime);
+  }
+
+  function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError("");
+    file.text().then(
+      (content) => {
+        setText(content);
+        setFileName(file.name);
+      },
+      () => setError("Could not read that file.")
+    );
+  }
+
+  function handleConfirm() {
+    if (!preview?.items.length) return;
+    if (
+      mode === "replace" &&
+      listItems.length &&
+      !window.confirm(`Replace the ${listItems.length} items in “${list.name}”?`)
+    ) {
+      return;
+    }
+    onImport(preview, mode);
+    setText("");
+    setFileName("");
+    onClose();
+  }
+
+  const depthOf = (row) => {
+    let depth = 0;
+    let parentIndex = row.parentIndex;
+    while (parentIndex !== null && parentIndex !== undefined && depth < 20) {
+      depth += 1;
+      parentIndex = preview.items[parentIndex]?.parentIndex ?? null;
+    }
+    return depth;
+  };
+
+  return (
+    <section className="transfer-panel" aria-label="Import and export">
+      <div className="tag-manager-header">
+        <h2>Import / export “{list.name}”</h2>
+        <button type="button" onClick={onClose}>
+          Done
+        </button>
+      </div>
+
+      <div className="transfer-row">
+        <span className="hint">Export</span>
+        {Object.entries(EXPORT_FORMATS).map(([kind, { label }]) => (
+          <button key={kind} type="button" onClick={() => handleExport(kind)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {onImport && (
+        <div className="transfer-import">
+          <span className="hint">Import</span>
+          <input
+            type="file"
+            accept=".json,.csv,.md,.markdown,.txt"
+            onChange={handleFile}
+            aria-label="Import file"
+          />
+          <textarea
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setFileName("");
+            }}
+            placeholder={"…or paste here, e.g.\n- [ ] Buy milk\n  - [x] Check the fridge"}
+            rows={5}
+            aria-label="Import text"
+          />
+          <div className="transfer-row">
+            <label>
+              Format{" "}
+              <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                <option value="auto">Auto ({EXPORT_FORMATS[resolvedFormat].label})</option>
+                {Object.entries(EXPORT_FORMATS).map(([kind, { label }]) => (
+                  <option key={kind} value={kind}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="import-mode"
+                value="append"
+                checked={mode === "append"}
+                onChange={() => setMode("append")}
+              />{" "}
+              Append
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="import-mode"
+                value="replace"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />{" "}
+              Replace list
+            </label>
+          </div>
+
+          {(error || parseError) && <div className="hint error">{error || parseError}</div>}
+
+          {preview && (
+            <>
+              <div className="hint">
+                {preview.items.length} {preview.items.length === 1 ? "item" : "items"} to import
+              </div>
+              <ul className="transfer-preview">
+                {preview.items.slice(0, PREVIEW_LIMIT).map((row, index) => (
+                  <li key={index} style={{ paddingLeft: `${depthOf(row) * 1.25}rem` }}>
+                    <span aria-hidden="true">{row.isCompleted ? "☑" : "☐"}</span>{" "}
+                    <span className={row.isCompleted ? "completed" : ""}>{row.content}</span>
+                    {row.tagNames.map((name) => (
+                      <span key={name} className="hint">
+                        {" "}
+                        #{name}
+                      </span>
+                    ))}
+                  </li>
+                ))}
+                {preview.items.length > PREVIEW_LIMIT && (
+                  <li className="hint">…and {preview.items.length - PREVIEW_LIMIT} more</li>
+                )}
+              </ul>
+              <button
+                type="button"
+                className="primary-btn"
+                disabled={!preview.items.length}
+                onClick={handleConfirm}
+              >
+                {mode === "replace" ? "Replace list" : "Append items"}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
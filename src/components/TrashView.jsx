@@ -0,0 +1,71 @@
+import { TRASH_DAYS, describeTimeLeft, trashRoots } from "../lib/trash";
+
+// One list's trash. Restoring an item brings back the subtasks deleted along with it.
+export default function TrashView({ trash, now, readOnly = false, onRestore, onPurge }) {
+  const roots = trashRoots(trash);
+
+  function handlePurge(ids, question) {
+    if (window.confirm(question)) onPurge(ids);
+  }
+
+  return (
+    <section className="trash-view" aria-label="Trash">
+      <div className="trash-header">
+        <span className="hint">
+          Deleted items stay here for {TRASH_DAYS} days, then they're gone for good.
+        </span>
+        {!readOnly && trash.length > 0 && (
+          <button
+            type="button"
+            onClick={() =>
+              handlePurge(
+                trash.map((item) => item.id),
+                `Delete ${trash.length} ${trash.length === 1 ? "item" : "items"} for good?`
+              )
+            }
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+      <ul className="todo-list">
+        {roots.map(({ item, subtaskIds }) => (
+          <li key={item.id} className="todo-item trash-item">
+            <div className="todo-content">
+              <span className={`todo-text${item.isCompleted ? " completed" : ""}`}>
+                {item.content}
+              </span>
+              <div className="todo-meta">
+                {subtaskIds.length > 0 && (
+                  <span className="hint">
+                    +{subtaskIds.length} {subtaskIds.length === 1 ? "subtask" : "subtasks"}
+                  </span>
+                )}
+                <span className="hint">{describeTimeLeft(item, now)}</span>
+              </div>
+            </div>
+            {!readOnly && (
+              <div className="trash-actions">
+                <button type="button" onClick={() => onRestore(item.id)}>
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  onClick={() =>
+                    handlePurge(
+                      [item.id, ...subtaskIds],
+                      `Delete “${item.content}” for good? This can't be undone.`
+                    )
+                  }
+                >
+                  Delete forever
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+        {!roots.length && <li className="todo-item hint">The trash is empty.</li>}
+      </ul>
+    </section>
+  );
+}
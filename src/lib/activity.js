@@ -0,0 +1,103 @@
+// A log of what happened to each item, built from the same { id, before, after }
+// changes undo uses. Entries are { id, itemId, listId, kind, content,
+// previousContent, fromListId, actorId, at }, where kind is one of ACTIVITY_KINDS.
+
+// a guest's log, and what's loaded for an account, stops at the newest this many
+export const ACTIVITY_LIMIT = 500;
+
+export const ACTIVITY_KINDS = ["create", "edit", "complete", "reopen", "move", "delete", "restore"];
+
+function kindOf({ id, before, after }, restoredIds) {
+  if (!before) return restoredIds.has(id) ? "restore" : "create";
+  if (!after) return "delete";
+  if (before.content !== after.content) return "edit";
+  if (before.isCompleted !== after.isCompleted) return after.isCompleted ? "complete" : "reopen";
+  if (
+    before.listId !== after.listId ||
+    (before.parentId ?? null) !== (after.parentId ?? null) ||
+    before.position !== after.position
+  ) {
+    return "move";
+  }
+  // due dates, tags, notes and the rest aren't logged
+  return null;
+}
+
+/**
+ * One entry per change worth logging; `makeId` creates entry ids. Items in
+ * `restoredIds` came back from the trash rather than being added.
+ */
+export function activityFromChanges(
+  changes,
+  { actorId = null, at = new Date(), makeId, restoredIds = new Set() }
+) {
+  const timestamp = at.toISOString();
+  return changes.flatMap((change) => {
+    const kind = kindOf(change, restoredIds);
+    if (!kind) return [];
+    const item = change.after ?? change.before;
+    return [
+      {
+        id: makeId(),
+        itemId: change.id,
+        listId: item.listId,
+        kind,
+        content: item.content,
+        previousContent: kind === "edit" ? change.before.content : null,
+        fromListId:
+          kind === "move" && change.before.listId !== item.listId ? change.before.listId : null,
+        actorId,
+        at: timestamp,
+      },
+    ];
+  });
+}
+
+/** Adds entries oldest first, dropping repeats and whatever falls past the limit. */
+export function appendActivity(entries, incoming, limit = ACTIVITY_LIMIT) {
+  const ids = new Set(entries.map((entry) => entry.id));
+  const added = incoming.filter((entry) => !ids.has(entry.id));
+  if (!added.length) return entries;
+  return [...entries, ...added].sort((a, b) => a.at.localeCompare(b.at)).slice(-limit);
+}
+
+/** "Renamed “Buy milk” to “Buy oat milk”", with list names for moves between lists. */
+export function describeActivity(entry, listNames = new Map()) {
+  const quoted = `“${entry.content}”`;
+  switch (entry.kind) {
+    case "create":
+      return `Added ${quoted}`;
+    case "edit":
+      return `Renamed “${entry.previousContent}” to ${quoted}`;
+    case "complete":
+      return `Completed ${quoted}`;
+    case "reopen":
+      return `Reopened ${quoted}`;
+    case "move": {
+      const from = entry.fromListId && listNames.get(entry.fromListId);
+      return from ? `Moved ${quoted} from ${from}` : `Moved ${quoted}`;
+    }
+    case "delete":
+      return `Deleted ${quoted}`;
+    case "restore":
+      return `Restored ${quoted} from the trash`;
+    default:
+      return `Changed ${quoted}`;
+  }
+}
+
+export function formatActivityTime(at, now) {
+  const date = new Date(at);
+  if (Number.isNaN(date.getTime())) return "";
+  const time = date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  if (date.toDateString() === now.toDateString()) return `Today ${time}`;
+  const yesterday = new Date(now);
+  yesterday.setDate(now.getDate() - 1);
+  if (date.toDateString() === yesterday.toDateString()) return `Yesterday ${time}`;
+  const day = date.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: date.getFullYear() === now.getFullYear() ? undefined : "numeric",
+  });
+  return `${day} ${time}`;
+}
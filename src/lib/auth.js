@@ -0,0 +1,97 @@
+// Passwordless sign-in: one email carries both a magic link and a 6-digit code
+// (see supabase/templates/magic_link.html), so the user picks whichever is
+// easier. Calls take the Supabase client as an argument, so anything with the
+// same `auth` methods can stand in for it, e.g. the local stack from `supabase start`.
+
+export const CODE_LENGTH = 6;
+// Supabase refuses a second email to the same address within this window by default
+export const RESEND_SECONDS = 60;
+
+export function sendSignInEmail(client, email, redirectTo) {
+  return client.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: redirectTo, shouldCreateUser: true },
+  });
+}
+
+export function verifySignInCode(client, email, code) {
+  return client.auth.verifyOtp({ email, token: code, type: "email" });
+}
+
+/** Digits only, at most CODE_LENGTH of them, so pasting "123 456" works. */
+export function normalizeCode(input) {
+  return String(input ?? "").replace(/\D/g, "").slice(0, CODE_LENGTH);
+}
+
+/** When the next email may go out, after one was sent or the server asked to wait. */
+export function nextResendAt(now, seconds = RESEND_SECONDS) {
+  return now.getTime() + seconds * 1000;
+}
+
+/** Whole seconds until another email may be sent, 0 when it can go now. */
+export function resendWait(resendAt, now) {
+  if (!resendAt) return 0;
+  return Math.max(0, Math.ceil((resendAt - now.getTime()) / 1000));
+}
+
+// "For security purposes, you can only request this after 37 seconds."
+function retryAfterSeconds(error) {
+  const match = /after (\d+) seconds?/i.exec(error?.message ?? "");
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * A message to show for a failed send or verify, plus how long to hold off
+ * resending when the server said so.
+ */
+export function describeAuthError(error) {
+  const code = error?.code ?? "";
+  const message = error?.message ?? "";
+  const retryAfter = retryAfterSeconds(error);
+
+  if (error?.status === 429 || code.startsWith("over_") || retryAfter !== null) {
+    return {
+      message: retryAfter
+        ? `Too many emails for now. Try again in ${retryAfter} seconds.`
+        : "Too many attempts for now. Wait a minute and try again.",
+      retryAfter,
+    };
+  }
+  if (code === "otp_expired" || /expired|invalid.*token|token.*invalid/i.test(message)) {
+    return {
+      message: "That code is wrong or has expired. Check the newest email, or send a new code.",
+      retryAfter: null,
+    };
+  }
+  if (code === "email_address_invalid" || /invalid.*email|email.*invalid/i.test(message)) {
+    return { message: "That doesn't look like an email address.", retryAfter: null };
+  }
+  if (code === "otp_disabled" || code === "signup_disabled" || /signups? not allowed/i.test(message)) {
+    return {
+      message: "Email sign-in isn't available for this address. Try signing in with a password.",
+      retryAfter: null,
+    };
+  }
+  if (error?.name === "AuthRetryableFetchError" || /fetch|network/i.test(message)) {
+    return { message: "Couldn't reach the server. Check your connection and try again.", retryAfter: null };
+  }
+  return { message: message || "Something went wrong. Try again.", retryAfter: null };
+}
+
+/**
+ * The message for a magic link that didn't work, e.g. an expired one, which
+ * Supabase reports in the fragment of the URL it redirects to. "" otherwise.
+ */
+export function linkErrorFromUrl(url) {
+  const fragment = new URLSearchParams(String(url?.hash ?? "").replace(/^#/, ""));
+  const query = new URLSearchParams(String(url?.search ?? ""));
+  const params = fragment.has("error") ? fragment : query;
+  if (!params.has("error")) return "";
+  const code = params.get("error_code") ?? "";
+  if (code === "otp_expired") return "That sign-in link has expired or was already used. Send a new one.";
+  return describeAuthError({
+    code,
+    message: params.get("error_description") ?? "",
+    status: 400,
+  }).message;
+}
@@ -0,0 +1,57 @@
+const SOON_MS = 60 * 60 * 1000;
+
+export function getDueStatus(item, now) {
+  if (!item.dueAt || item.isCompleted) return null;
+  const due = new Date(item.dueAt).getTime();
+  if (Number.isNaN(due)) return null;
+  const remaining = due - now.getTime();
+  if (remaining <= 0) return "overdue";
+  if (remaining <= SOON_MS) return "soon";
+  return null;
+}
+
+export function formatDue(dueAt, now) {
+  const due = new Date(dueAt);
+  if (Number.isNaN(due.getTime())) return "";
+  const time = due.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  if (due.toDateString() === now.toDateString()) return `Today ${time}`;
+  const tomorrow = new Date(now);
+  tomorrow.setDate(now.getDate() + 1);
+  if (due.toDateString() === tomorrow.toDateString()) return `Tomorrow ${time}`;
+  const date = due.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: due.getFullYear() === now.getFullYear() ? undefined : "numeric",
+  });
+  return `${date} ${time}`;
+}
+
+// <input type="datetime-local"> works in local wall-clock time without a zone.
+export function toDateTimeInputValue(dueAt) {
+  if (!dueAt) return "";
+  const due = new Date(dueAt);
+  if (Number.isNaN(due.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())}T${pad(
+    due.getHours()
+  )}:${pad(due.getMinutes())}`;
+}
+
+export function fromDateTimeInputValue(value) {
+  if (!value) return null;
+  const due = new Date(value);
+  return Number.isNaN(due.getTime()) ? null : due.toISOString();
+}
+
+// Items whose due time passed after `since` (normally when the app was opened).
+export function findDueReminders(items, since, now) {
+  return items.filter((item) => {
+    if (!item.dueAt || item.isCompleted) return false;
+    const due = new Date(item.dueAt).getTime();
+    return due > since && due <= now.getTime();
+  });
+}
+
+export function reminderKey(item) {
+  return `${item.id}:${item.dueAt}`;
+}
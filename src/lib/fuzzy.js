@@ -0,0 +1,36 @@
+// Fuzzy matching for the command palette: the query's characters have to appear
+// in order, and matches that run together or start a word rank higher.
+
+const WORD_START = /[\s\-_/.:#“"(]/;
+
+/** A score for `text` against `query`, higher is better, or null when it doesn't match. */
+export function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  if (!needle) return 0;
+  const haystack = text.toLowerCase();
+
+  let score = 0;
+  let previous = -2;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    if (index === previous + 1) score += 3;
+    if (index === 0 || WORD_START.test(haystack[index - 1])) score += 2;
+    score -= Math.min(index - from, 3) * 0.1;
+    previous = index;
+    from = index + 1;
+  }
+  // shorter texts win ties, so "Undo" beats "Undo and close"
+  return score - haystack.length * 0.01;
+}
+
+/** The entries that match, best first, at most `limit` of them. */
+export function fuzzyFilter(entries, query, getText, limit = Infinity) {
+  return entries
+    .map((entry, index) => ({ entry, index, score: fuzzyScore(query, getText(entry)) }))
+    .filter((result) => result.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map((result) => result.entry);
+}
@@ -0,0 +1,157 @@
+// Bringing a guest's items into an account without copying what's already there,
+// e.g. after signing in on a second device or a second time on this one.
+
+import { nextPosition } from "./positions";
+import { findTagByName } from "./tags";
+
+const SIMILAR_THRESHOLD = 0.85;
+
+export function normalizeContent(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/** 1 for the same text, falling towards 0 the more edits it takes to get from one to the other. */
+export function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 1;
+  // too different in length to reach the threshold, skip the expensive part
+  if (Math.min(a.length, b.length) / longest < SIMILAR_THRESHOLD) return 0;
+  return 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Pairs guest items with account items that look the same: "identical" once
+ * case, punctuation and spacing are ignored, "similar" for a typo or two.
+ * Returns [{ item, match, kind }] in guest order.
+ */
+export function findDuplicates(guestItems, accountItems) {
+  const byContent = new Map();
+  const normalizedAccount = accountItems.map((item) => {
+    const key = normalizeContent(item.content);
+    if (!byContent.has(key)) byContent.set(key, item);
+    return { item, key };
+  });
+
+  return guestItems.flatMap((item) => {
+    const key = normalizeContent(item.content);
+    const identical = byContent.get(key);
+    if (identical) return [{ item, match: identical, kind: "identical" }];
+
+    let best = null;
+    let bestScore = SIMILAR_THRESHOLD;
+    normalizedAccount.forEach((candidate) => {
+      const score = similarity(key, candidate.key);
+      if (score >= bestScore) {
+        best = candidate.item;
+        bestScore = score;
+      }
+    });
+    return best ? [{ item, match: best, kind: "similar" }] : [];
+  });
+}
+
+/**
+ * Works out the records to create for a merge. Guest lists join account lists
+ * of the same name, tags join by name, and subtasks of a skipped duplicate
+ * hang under the account item it matched. `makeId` creates fresh ids.
+ * `updatedItems` are account items that take on the notes of a skipped duplicate.
+ */
+export function planGuestMerge({ guest, account, duplicates, skipDuplicates, makeId }) {
+  const skipped = new Map(
+    skipDuplicates ? duplicates.map(({ item, match }) => [item.id, match.id]) : []
+  );
+  const guestItems = guest.items.filter((item) => !skipped.has(item.id));
+
+  const lists = [];
+  const listIdMap = new Map();
+  guest.lists.forEach((list) => {
+    if (!guestItems.some((item) => item.listId === list.id)) return;
+    const name = list.name.trim().toLowerCase();
+    const existing = [...account.lists, ...lists].find((l) => l.name.trim().toLowerCase() === name);
+    if (existing) {
+      listIdMap.set(list.id, existing.id);
+      return;
+    }
+    const copy = {
+      id: makeId(),
+      name: list.name,
+      position: nextPosition(account.lists) + lists.length,
+    };
+    lists.push(copy);
+    listIdMap.set(list.id, copy.id);
+  });
+
+  const tags = [];
+  const tagIdMap = new Map();
+  guest.tags.forEach((tag) => {
+    const match = findTagByName([...account.tags, ...tags], tag.name);
+    if (match) {
+      tagIdMap.set(tag.id, match.id);
+      return;
+    }
+    const copy = { id: makeId(), name: tag.name, color: tag.color };
+    tags.push(copy);
+    tagIdMap.set(tag.id, copy.id);
+  });
+
+  const fallbackListId = account.lists[0]?.id ?? lists[0]?.id ?? null;
+  const positions = new Map();
+  const idMap = new Map(guestItems.map((item) => [item.id, makeId()]));
+  const items = guestItems.map((item) => {
+    // a subtask whose parent was skipped moves to the list of the item that parent matched
+    const matchedParent = skipped.has(item.parentId)
+      ? account.items.find((i) => i.id === skipped.get(item.parentId))
+      : null;
+    const listId = matchedParent?.listId ?? listIdMap.get(item.listId) ?? fallbackListId;
+    if (!positions.has(listId)) {
+      positions.set(listId, nextPosition(account.items.filter((i) => i.listId === listId)));
+    }
+    const position = positions.get(listId);
+    positions.set(listId, position + 1);
+    return {
+      ...item,
+      id: idMap.get(item.id),
+      parentId: idMap.get(item.parentId) ?? skipped.get(item.parentId) ?? null,
+      listId,
+      position,
+      tagIds: (item.tagIds ?? []).map((id) => tagIdMap.get(id)).filter(Boolean),
+    };
+  });
+
+  const updatedItems = [];
+  if (skipDuplicates) {
+    duplicates.forEach(({ item, match }) => {
+      const guestNotes = (item.notes ?? "").trim();
+      const current = updatedItems.find((i) => i.id === match.id) ?? match;
+      const accountNotes = current.notes ?? "";
+      if (!guestNotes || accountNotes.includes(guestNotes)) return;
+      const notes = accountNotes ? `${accountNotes}\n\n${guestNotes}` : guestNotes;
+      const updated = { ...current, notes };
+      const index = updatedItems.indexOf(current);
+      if (index === -1) updatedItems.push(updated);
+      else updatedItems[index] = updated;
+    });
+  }
+
+  return { lists, tags, items, updatedItems };
+}
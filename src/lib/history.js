@@ -0,0 +1,52 @@
+// Undo/redo entries store only the items an action touched, as { id, before, after }
+// pairs (null means the item didn't exist), so undoing one action doesn't roll back
+// unrelated changes that arrived from another tab in the meantime.
+
+export const HISTORY_LIMIT = 100;
+
+function sameItem(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function diffItems(prevItems, nextItems) {
+  const prevById = new Map(prevItems.map((item) => [item.id, item]));
+  const nextById = new Map(nextItems.map((item) => [item.id, item]));
+  const changes = [];
+
+  prevItems.forEach((item) => {
+    const next = nextById.get(item.id) ?? null;
+    if (!next || !sameItem(item, next)) changes.push({ id: item.id, before: item, after: next });
+  });
+  nextItems.forEach((item) => {
+    if (!prevById.has(item.id)) changes.push({ id: item.id, before: null, after: item });
+  });
+
+  return changes;
+}
+
+/**
+ * Applies one side ("before" to undo, "after" to redo) of a history entry.
+ * Returns the new items in position order and the ids that no longer exist.
+ */
+export function applyHistoryChanges(itemsList, changes, side) {
+  const byId = new Map(itemsList.map((item) => [item.id, item]));
+  const removedIds = [];
+
+  changes.forEach((change) => {
+    const target = change[side];
+    if (target) {
+      byId.set(change.id, target);
+    } else if (byId.has(change.id)) {
+      byId.delete(change.id);
+      removedIds.push(change.id);
+    }
+  });
+
+  // stable sort keeps untouched items in their current order on ties
+  const nextItems = [...byId.values()].sort((a, b) => a.position - b.position);
+  return { items: nextItems, removedIds };
+}
+
+export function pushHistory(stack, entry) {
+  return [...stack, entry].slice(-HISTORY_LIMIT);
+}
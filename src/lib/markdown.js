@@ -0,0 +1,146 @@
+// A small Markdown subset for item notes, parsed into plain data that the
+// renderer turns into React elements, so no HTML string ever reaches the page.
+//
+// Blocks:  paragraphs, # headings (1-3), - / * / 1. lists, > quotes, ``` code
+// Inline:  `code`, **bold**, *italic* / _italic_, [text](url), bare https:// links
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+const INLINE_PATTERN =
+  /(`+)([^`]+?)\1|\[([^\]]+)\]\(([^)\s]+)\)|((?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]!?])|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b/g;
+
+const SAFE_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+
+/**
+ * The URL to use for a link, or null when it isn't http(s) or mailto.
+ * Browsers ignore whitespace and control characters inside a scheme, so those
+ * are stripped before it's checked ("java\tscript:" is still javascript:).
+ */
+export function safeUrl(raw) {
+  const stripped = String(raw ?? "").replace(/[\p{Cc}\s]/gu, "");
+  if (!stripped) return null;
+  const url = /^www\./i.test(stripped) ? `https://${stripped}` : stripped;
+  try {
+    const parsed = new URL(url);
+    return SAFE_PROTOCOLS.has(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Inline nodes: { type: "text" | "code", text } or { type: "strong" | "em" | "link", children, href }. */
+export function parseInline(text) {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) nodes.push({ type: "text", text: text.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const [whole, , code, label, target, bare, strong, strongAlt, em, emAlt] = match;
+    if (code !== undefined) {
+      nodes.push({ type: "code", text: code });
+    } else if (label !== undefined) {
+      const href = safeUrl(target);
+      // an unsafe link keeps its text but loses the link
+      nodes.push(
+        href
+          ? { type: "link", href, children: parseInline(label) }
+          : { type: "text", text: whole }
+      );
+    } else if (bare !== undefined) {
+      const href = safeUrl(bare);
+      nodes.push(
+        href
+          ? { type: "link", href, children: [{ type: "text", text: bare }] }
+          : { type: "text", text: bare }
+      );
+    } else if ((strong ?? strongAlt) !== undefined) {
+      nodes.push({ type: "strong", children: parseInline(strong ?? strongAlt) });
+    } else {
+      nodes.push({ type: "em", children: parseInline(em ?? emAlt) });
+    }
+  }
+  if (last < text.length) nodes.push({ type: "text", text: text.slice(last) });
+  return nodes;
+}
+
+/**
+ * Block nodes: { type: "paragraph", lines }, { type: "heading", level, children },
+ * { type: "list", ordered, items }, { type: "quote", lines } and { type: "code", text },
+ * where lines and items are arrays of inline nodes.
+ */
+export function parseMarkdown(source) {
+  const lines = String(source ?? "").replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (FENCE.test(line)) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !FENCE.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1; // the closing fence, if there is one
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+      index += 1;
+      continue;
+    }
+
+    const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+    if (listPattern) {
+      const items = [];
+      while (index < lines.length && listPattern.test(lines[index])) {
+        items.push(parseInline(lines[index].match(listPattern)[1]));
+        index += 1;
+      }
+      blocks.push({ type: "list", ordered: listPattern === NUMBERED, items });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) {
+        quoted.push(parseInline(lines[index].match(QUOTE)[1]));
+        index += 1;
+      }
+      blocks.push({ type: "quote", lines: quoted });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      lines[index].trim() &&
+      !FENCE.test(lines[index]) &&
+      !HEADING.test(lines[index]) &&
+      !BULLET.test(lines[index]) &&
+      !NUMBERED.test(lines[index]) &&
+      !QUOTE.test(lines[index])
+    ) {
+      paragraph.push(parseInline(lines[index]));
+      index += 1;
+    }
+    blocks.push({ type: "paragraph", lines: paragraph });
+  }
+
+  return blocks;
+}
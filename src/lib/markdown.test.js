@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { parseInline, parseMarkdown, safeUrl } from "./markdown";
+
+describe("safeUrl", () => {
+  it("refuses script and data URLs however they're spelled", () => {
+    [
+      "javascript:alert(1)",
+      "JaVaScRiPt:alert(1)",
+      "java\tscript:alert(1)",
+      "java\nscript:alert(1)",
+      "java\u0000script:alert(1)",
+      " \u0001javascript:alert(1)",
+      "java\u007fscript:alert(1)",
+      "java\u0085script:alert(1)",
+      "data:text/html,<script>alert(1)</script>",
+      "DATA:text/html;base64,PHNjcmlwdD4=",
+      "vbscript:msgbox(1)",
+    ].forEach((url) => expect(safeUrl(url), JSON.stringify(url)).toBeNull());
+  });
+
+  it("refuses relative links", () => {
+    ["/notes", "../notes", "#top", "//example.com", "notes.html", ""].forEach((url) =>
+      expect(safeUrl(url), url).toBeNull()
+    );
+  });
+
+  it("keeps http, https and mailto links", () => {
+    expect(safeUrl("https://example.com/a?b=1")).toBe("https://example.com/a?b=1");
+    expect(safeUrl("HTTP://Example.com")).toBe("http://example.com/");
+    expect(safeUrl("mailto:sam@example.com")).toBe("mailto:sam@example.com");
+  });
+
+  it("reads www. links as https", () => {
+    expect(safeUrl("www.example.com/docs")).toBe("https://www.example.com/docs");
+  });
+});
+
+describe("parseInline", () => {
+  it("turns a link with an unsafe target into its text", () => {
+    expect(parseInline("[click](vbscript:msgbox)")).toEqual([
+      { type: "text", text: "[click](vbscript:msgbox)" },
+    ]);
+  });
+
+  it("links safe targets and bare URLs", () => {
+    expect(parseInline("see [docs](https://example.com) or www.example.org.")).toEqual([
+      { type: "text", text: "see " },
+      { type: "link", href: "https://example.com/", children: [{ type: "text", text: "docs" }] },
+      { type: "text", text: " or " },
+      {
+        type: "link",
+        href: "https://www.example.org/",
+        children: [{ type: "text", text: "www.example.org" }],
+      },
+      { type: "text", text: "." },
+    ]);
+  });
+
+  it("reads code, bold and italic", () => {
+    expect(parseInline("`a` **b** *c*")).toEqual([
+      { type: "code", text: "a" },
+      { type: "text", text: " " },
+      { type: "strong", children: [{ type: "text", text: "b" }] },
+      { type: "text", text: " " },
+      { type: "em", children: [{ type: "text", text: "c" }] },
+    ]);
+  });
+});
+
+describe("parseMarkdown", () => {
+  it("splits blocks", () => {
+    const blocks = parseMarkdown("# Title\n\n- one\n- two\n\n> quote\n\n```\ncode\n```\ntext");
+    expect(blocks.map((block) => block.type)).toEqual([
+      "heading",
+      "list",
+      "quote",
+      "code",
+      "paragraph",
+    ]);
+  });
+});
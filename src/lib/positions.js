@@ -0,0 +1,107 @@
+// Positions are fractional: a record moved between two others takes a number
+// between theirs, so a reorder rewrites the rows that moved and nothing else.
+
+function hasPosition(record) {
+  return typeof record.position === "number" && Number.isFinite(record.position);
+}
+
+// Indexes of the longest run of records whose positions already increase in
+// array order; those can keep them.
+function keptIndexes(records) {
+  const tails = [];
+  const previous = new Array(records.length).fill(-1);
+
+  records.forEach((record, index) => {
+    if (!hasPosition(record)) return;
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (records[tails[mid]].position < record.position) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[index] = tails[low - 1];
+    tails[low] = index;
+  });
+
+  const kept = new Set();
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = previous[index]) {
+    kept.add(index);
+  }
+  return kept;
+}
+
+// `count` increasing numbers strictly between `low` and `high` (either may be
+// null for an open end), or null once floating point runs out of room.
+function between(low, high, count) {
+  const values = [];
+  for (let i = 0; i < count; i += 1) {
+    if (low === null && high === null) values.push(i);
+    else if (high === null) values.push(Math.floor(low) + i + 1);
+    else if (low === null) values.push(Math.ceil(high) - count + i);
+    else values.push(low + ((high - low) * (i + 1)) / (count + 1));
+  }
+  const fits = values.every(
+    (value, i) =>
+      (low === null || value > low) &&
+      (high === null || value < high) &&
+      (i === 0 || value > values[i - 1])
+  );
+  return fits ? values : null;
+}
+
+function positionGroup(records) {
+  const kept = keptIndexes(records);
+  const positions = records.map((record, index) => (kept.has(index) ? record.position : null));
+
+  let start = 0;
+  while (start < records.length) {
+    if (kept.has(start)) {
+      start += 1;
+      continue;
+    }
+    let end = start;
+    while (end < records.length && !kept.has(end)) end += 1;
+    const low = start > 0 ? positions[start - 1] : null;
+    const high = end < records.length ? positions[end] : null;
+    const values = between(low, high, end - start);
+    // the gap is used up; number the whole group again
+    if (!values) return records.map((_, index) => index);
+    values.forEach((value, offset) => {
+      positions[start + offset] = value;
+    });
+    start = end;
+  }
+  return positions;
+}
+
+/**
+ * Gives every record a position that matches its place in the array, within
+ * its group (e.g. per list). Records that are already in order keep theirs,
+ * and come back as the same objects.
+ */
+export function assignPositions(records, groupOf = () => null) {
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const key = groupOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  const result = [...records];
+  groups.forEach((indexes) => {
+    const positions = positionGroup(indexes.map((index) => records[index]));
+    indexes.forEach((index, i) => {
+      if (records[index].position !== positions[i]) {
+        result[index] = { ...records[index], position: positions[i] };
+      }
+    });
+  });
+  return result;
+}
+
+/** The first position after every record in the group, for rows added straight to a store. */
+export function nextPosition(records) {
+  const positions = records.filter(hasPosition).map((record) => record.position);
+  return positions.length ? Math.floor(Math.max(...positions)) + 1 : 0;
+}
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import { assignPositions, nextPosition } from "./positions";
+
+function numbered(ids, listId = "l1") {
+  return ids.map((id, position) => ({ id, position, listId }));
+}
+
+function move(records, id, toIndex) {
+  const next = records.filter((record) => record.id !== id);
+  next.splice(toIndex, 0, records.find((record) => record.id === id));
+  return next;
+}
+
+function expectIncreasing(records) {
+  records.slice(1).forEach((record, index) => {
+    expect(record.position).toBeGreaterThan(records[index].position);
+  });
+}
+
+function changed(before, after) {
+  return after.filter((record) => !before.includes(record));
+}
+
+// Deterministic, so a failing run can be replayed.
+function random(seed) {
+  let state = seed;
+  return (limit) => {
+    state = (state * 1103515245 + 12345) % 2 ** 31;
+    return state % limit;
+  };
+}
+
+describe("assignPositions", () => {
+  it("leaves records that are already in order alone", () => {
+    const records = numbered(["a", "b", "c"]);
+    const result = assignPositions(records);
+    result.forEach((record, index) => expect(record).toBe(records[index]));
+  });
+
+  it("gives a record moved between two others a position between theirs", () => {
+    const records = numbered(["a", "b", "c", "d"]);
+    const result = assignPositions(move(records, "d", 1));
+
+    expect(result.map((record) => record.id)).toEqual(["a", "d", "b", "c"]);
+    expect(changed(records, result)).toEqual([{ id: "d", position: 0.5, listId: "l1" }]);
+  });
+
+  it("moves to either end without touching the rest", () => {
+    const records = numbered(["a", "b", "c"]);
+    const toFront = assignPositions(move(records, "c", 0));
+    expect(changed(records, toFront).map((record) => record.position)).toEqual([-1]);
+
+    const toBack = assignPositions(move(records, "a", 2));
+    expect(changed(records, toBack).map((record) => record.position)).toEqual([3]);
+    expectIncreasing(toFront);
+    expectIncreasing(toBack);
+  });
+
+  it("numbers records that have no position yet", () => {
+    const result = assignPositions([
+      { id: "a", position: 0 },
+      { id: "b" },
+      { id: "c", position: Number.NaN },
+      { id: "d", position: 1 },
+    ]);
+    expect(result.map((record) => record.position)).toEqual([0, 1 / 3, 2 / 3, 1]);
+  });
+
+  it("keeps each group's positions to itself", () => {
+    const records = [...numbered(["a", "b"], "l1"), ...numbered(["c", "d"], "l2")];
+    const result = assignPositions(move(records, "b", 0), (record) => record.listId);
+    expect(changed(records, result)).toEqual([{ id: "b", position: -1, listId: "l1" }]);
+  });
+
+  it("numbers the group again once the gap between two records runs out", () => {
+    // away from zero, where doubles run out of room after about fifty halvings
+    let records = [
+      { id: "a", position: 1 },
+      { id: "b", position: 2 },
+    ];
+    const changes = [];
+    for (let i = 0; i < 80; i += 1) {
+      // keep squeezing a new record in right after the first
+      const next = assignPositions([records[0], { id: `n${i}` }, ...records.slice(1)]);
+      changes.push(changed(records, next).length - 1);
+      expectIncreasing(next);
+      records = next;
+    }
+
+    const renumbered = changes.filter((count) => count > 0);
+    expect(renumbered.length).toBeGreaterThan(0);
+    expect(renumbered.length).toBeLessThan(5);
+    expect(changes.filter((count) => count === 0).length).toBeGreaterThan(70);
+  });
+
+  it("stays in order over a long run of random moves", () => {
+    const pick = random(7);
+    let records = numbered(Array.from({ length: 12 }, (_, index) => `r${index}`));
+    let rewrites = 0;
+
+    for (let i = 0; i < 500; i += 1) {
+      const order = move(records, records[pick(records.length)].id, pick(records.length));
+      const next = assignPositions(order);
+      expect(next.map((record) => record.id)).toEqual(order.map((record) => record.id));
+      expectIncreasing(next);
+      rewrites += changed(order, next).length;
+      records = next;
+    }
+
+    // one record per move, give or take the odd renumbering
+    expect(rewrites).toBeLessThan(500 * 2);
+  });
+});
+
+describe("nextPosition", () => {
+  it("comes after every record", () => {
+    expect(nextPosition([])).toBe(0);
+    expect(nextPosition([{ position: 2.5 }, { position: 1 }, {}])).toBe(3);
+  });
+});
@@ -0,0 +1,16 @@
+// Priority is stored as a small number so it sorts and compares directly:
+// 0 none, 1 low, 2 medium, 3 high, 4 urgent.
+
+export const PRIORITY_LABELS = ["None", "Low", "Medium", "High", "Urgent"];
+
+/** A priority from 0 to 4, from a number or a label ("high"), whatever came back from storage. */
+export function normalizePriority(raw) {
+  if (typeof raw === "string") {
+    const name = raw.trim().toLowerCase();
+    const index = PRIORITY_LABELS.findIndex((label) => label.toLowerCase() === name);
+    if (index !== -1) return index;
+  }
+  const number = Math.round(Number(raw));
+  if (!Number.isFinite(number)) return 0;
+  return Math.min(PRIORITY_LABELS.length - 1, Math.max(0, number));
+}
@@ -0,0 +1,413 @@
+// Quick add: picks a due date, priority, tags and a repeat rule out of what's
+// typed in the add row, e.g. "Call dentist tomorrow 3pm !high #health every month".
+// Whatever isn't recognised stays in the item's text. A backslash in front of a
+// word keeps it literal: "Read \tomorrow \#1" adds exactly "Read tomorrow #1".
+//
+// Month and weekday names, and words like "today" and "tomorrow", come from the
+// locale as well as English; numeric dates follow the locale's day/month order.
+// A few languages also get their word for "on". The rest of the syntax is English.
+
+import { PRIORITY_LABELS } from "./priorities";
+
+// a date without a time is due at this hour
+const DEFAULT_HOUR = 9;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const PRIORITY_WORDS = {
+  ...Object.fromEntries(
+    PRIORITY_LABELS.slice(1).map((label, index) => [label.toLowerCase(), index + 1])
+  ),
+  med: 2,
+  1: 1,
+  2: 2,
+  3: 3,
+  4: 4,
+};
+
+// words that may lead into a date, like "on Friday" or "by Jan 5"
+const DATE_PREPOSITIONS = ["on", "by", "due"];
+const LOCALE_DATE_PREPOSITIONS = {
+  de: ["am", "bis"],
+  fr: ["le"],
+  nl: ["op"],
+  es: ["el"],
+  it: ["il"],
+};
+// month names that are everyday words too: only a date after "on" or at the end of the text
+const AMBIGUOUS_MONTHS = new Set(["may", "march", "mar"]);
+
+const vocabularies = new Map();
+
+function namesOf(locale, option, count, dateFor) {
+  const format = new Intl.DateTimeFormat(locale, { [option]: count });
+  return Array.from({ length: option === "month" ? 12 : 7 }, (_, index) =>
+    format.format(dateFor(index)).toLowerCase().replace(/\.$/, "")
+  );
+}
+
+// Month and weekday names, relative day words and the numeric date order for a locale.
+function vocabularyFor(locale) {
+  const key = locale ?? "";
+  if (vocabularies.has(key)) return vocabularies.get(key);
+
+  const months = new Map();
+  const weekdays = new Map();
+  const shortWeekdays = new Map();
+  const relativeDays = new Map([
+    ["today", 0],
+    ["tomorrow", 1],
+    ["tmrw", 1],
+  ]);
+  [locale, "en"].forEach((source) => {
+    ["long", "short"].forEach((width) => {
+      // 2024-01-07 was a Sunday
+      const monthNames = namesOf(source, "month", width, (index) => new Date(2024, index, 15));
+      monthNames.forEach((name, index) => {
+        if (!months.has(name)) months.set(name, index);
+      });
+      const days = namesOf(source, "weekday", width, (index) => new Date(2024, 0, 7 + index));
+      days.forEach((name, index) => {
+        const target = width === "long" ? weekdays : shortWeekdays;
+        if (!target.has(name)) target.set(name, index);
+      });
+    });
+    const relative = new Intl.RelativeTimeFormat(source, { numeric: "auto" });
+    [0, 1, 2].forEach((offset) => {
+      const word = relative.format(offset, "day").toLowerCase();
+      if (!/\s|\d/.test(word) && !relativeDays.has(word)) relativeDays.set(word, offset);
+    });
+  });
+
+  const order = new Intl.DateTimeFormat(locale)
+    .formatToParts(new Date(2024, 10, 22))
+    .map((part) => part.type)
+    .filter((type) => type === "day" || type === "month");
+
+  const dayFirst = order[0] === "day";
+  const { language } = new Intl.Locale(new Intl.DateTimeFormat(locale).resolvedOptions().locale);
+  const prepositions = new Set([
+    ...DATE_PREPOSITIONS,
+    ...(LOCALE_DATE_PREPOSITIONS[language] ?? []),
+  ]);
+  const vocabulary = { months, weekdays, shortWeekdays, relativeDays, dayFirst, prepositions };
+  vocabularies.set(key, vocabulary);
+  return vocabulary;
+}
+
+function tokenize(text) {
+  return [...text.matchAll(/\S+/g)].map((match) => {
+    const raw = match[0];
+    const literal = raw.startsWith("\\");
+    return {
+      raw,
+      start: match.index,
+      end: match.index + raw.length,
+      literal,
+      // what's matched: lower case, without a trailing comma or full stop
+      word: literal ? "" : raw.toLowerCase().replace(/[,;:?]+$|(?<=[^.])\.$/, ""),
+    };
+  });
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// the next `weekday` after today, a week out when today is that day
+function nextWeekday(now, weekday) {
+  const ahead = (weekday - now.getDay() + 7) % 7 || 7;
+  return addDays(now, ahead);
+}
+
+function ordinal(word) {
+  const match = /^(\d{1,2})(?:st|nd|rd|th|\.)?$/.exec(word);
+  return match ? Number(match[1]) : null;
+}
+
+function yearOf(word) {
+  return /^\d{4}$/.test(word ?? "") ? Number(word) : null;
+}
+
+// A day that exists, moved to next year when no year was given and it's already past.
+function calendarDate(year, month, day, now) {
+  const date = new Date(year ?? now.getFullYear(), month, day);
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  if (year === null && date < startOfDay(now)) date.setFullYear(date.getFullYear() + 1);
+  return date;
+}
+
+// `wordsLeft` is how many words the input has from here on
+function matchDate(words, wordsLeft, vocabulary, now) {
+  const [first, second, third] = words;
+  if (vocabulary.relativeDays.has(first)) {
+    return { length: 1, date: addDays(now, vocabulary.relativeDays.get(first)) };
+  }
+
+  const prepositions = vocabulary.prepositions.has(first) ? 1 : 0;
+  const [word, next, afterNext] = words.slice(prepositions);
+  const hasLead = prepositions > 0 || first === "next";
+
+  if (first === "next" && second === "week") return { length: 2, date: nextWeekday(now, 1) };
+  if (first === "next" && second === "month") {
+    return { length: 2, date: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+  }
+  if (first === "in" && /^(\d{1,3}|a|an)$/.test(second ?? "")) {
+    const count = /^\d/.test(second) ? Number(second) : 1;
+    const unit = third?.replace(/s$/, "");
+    if (unit === "day") return { length: 3, date: addDays(now, count) };
+    if (unit === "week") return { length: 3, date: addDays(now, count * 7) };
+    if (unit === "month") {
+      const date = new Date(now.getFullYear(), now.getMonth() + count, now.getDate());
+      return { length: 3, date };
+    }
+  }
+
+  // "Friday", "on Fri", "next Friday"
+  const lead = first === "next" ? 1 : prepositions;
+  const dayWord = words[lead];
+  const shortWeekday = hasLead ? vocabulary.shortWeekdays.get(dayWord) : undefined;
+  const weekday = vocabulary.weekdays.get(dayWord) ?? shortWeekday;
+  if (weekday !== undefined) return { length: lead + 1, date: nextWeekday(now, weekday) };
+
+  // "Jan 5", "January 5th 2027", "5 Jan", "5. Januar"; "3 may" only as "on 3 May" or at the end
+  const dayMonth = (monthWord, dayWord) => {
+    const month = vocabulary.months.get(monthWord);
+    if (month === undefined || ordinal(dayWord ?? "") === null) return null;
+    const year = yearOf(afterNext);
+    const length = prepositions + (year === null ? 2 : 3);
+    if (AMBIGUOUS_MONTHS.has(monthWord) && !prepositions && length !== wordsLeft) return null;
+    const date = calendarDate(year, month, ordinal(dayWord), now);
+    return date ? { length, date } : null;
+  };
+  const spelled = dayMonth(word, next) ?? dayMonth(next, word);
+  if (spelled) return spelled;
+
+  // 2026-11-03 anywhere; 3/11 or 3.11.2026 only after "on", "by" or "due", so "1/2 cup" stays text
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(word ?? "");
+  if (iso) {
+    const date = calendarDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]), now);
+    if (date) return { length: prepositions + 1, date };
+  }
+  const numeric = /^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{4}))?\.?$/.exec(word ?? "");
+  if (numeric && prepositions) {
+    const [day, month] = vocabulary.dayFirst
+      ? [Number(numeric[1]), Number(numeric[2])]
+      : [Number(numeric[2]), Number(numeric[1])];
+    const date = calendarDate(numeric[3] ? Number(numeric[3]) : null, month - 1, day, now);
+    if (date) return { length: 2, date };
+  }
+  return null;
+}
+
+function clockTime(hour, minute, meridiem) {
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    return { hour: (hour % 12) + (meridiem === "p" ? 12 : 0), minute };
+  }
+  return hour > 23 ? null : { hour, minute };
+}
+
+// "3pm", "3:30 pm", "15:00", "at 9am", "noon"
+function matchTime(words) {
+  const lead = words[0] === "at" ? 1 : 0;
+  const [word, next] = words.slice(lead);
+  if (word === "noon") return { length: lead + 1, time: { hour: 12, minute: 0 } };
+
+  const match = /^(\d{1,2})(?::(\d{2}))?(?:([ap])\.?m\.?)?$/.exec(word ?? "");
+  if (!match) return null;
+  let meridiem = match[3] ?? null;
+  let length = lead + 1;
+  const nextMeridiem = /^([ap])\.?m\.?$/.exec(next ?? "");
+  if (!meridiem && nextMeridiem) {
+    meridiem = nextMeridiem[1];
+    length += 1;
+  }
+  // a bare number is only a time with a colon or am/pm, so "Buy 3 apples" stays text
+  if (!meridiem && match[2] === undefined) return null;
+  const time = clockTime(Number(match[1]), Number(match[2] ?? 0), meridiem);
+  return time ? { length, time } : null;
+}
+
+function weekdayList(words, vocabulary) {
+  const days = [];
+  let length = 0;
+  for (const word of words) {
+    const day = vocabulary.weekdays.get(word) ?? vocabulary.shortWeekdays.get(word);
+    if (day !== undefined) days.push(day);
+    else if (word !== "and" || !days.length) break;
+    length += 1;
+  }
+  // "every mon and" leaves the "and" to the text
+  if (words[length - 1] === "and") length -= 1;
+  return days.length ? { length, days } : null;
+}
+
+// "daily", "every month", "every other day", "every 3 weeks", "every Mon and Thu"
+function matchRecurrence(words, vocabulary) {
+  const [first, second, third] = words;
+  if (first === "daily") return { length: 1, rule: { type: "daily" } };
+  if (first === "weekly") return { length: 1, rule: { type: "weekly", weekdays: null } };
+  if (first === "monthly") return { length: 1, rule: { type: "monthly", day: null } };
+  if (first !== "every") return null;
+
+  if (second === "day") return { length: 2, rule: { type: "daily" } };
+  if (second === "week") return { length: 2, rule: { type: "weekly", weekdays: null } };
+  if (second === "month") return { length: 2, rule: { type: "monthly", day: null } };
+  if (second === "weekday") {
+    return { length: 2, rule: { type: "weekly", weekdays: [1, 2, 3, 4, 5] } };
+  }
+  if (second === "other" && (third === "day" || third === "week")) {
+    return { length: 3, rule: { type: "days", every: third === "day" ? 2 : 14 } };
+  }
+  if (/^\d{1,3}$/.test(second ?? "")) {
+    const count = Number(second);
+    const unit = third?.replace(/s$/, "");
+    const every = unit === "day" ? count : unit === "week" ? count * 7 : 0;
+    if (every >= 1 && every <= 365) return { length: 3, rule: { type: "days", every } };
+  }
+  const list = weekdayList(words.slice(1), vocabulary);
+  if (list) {
+    const weekdays = [...new Set(list.days)].sort((a, b) => a - b);
+    return { length: list.length + 1, rule: { type: "weekly", weekdays } };
+  }
+  return null;
+}
+
+function matchAt(tokens, index, vocabulary, now) {
+  const token = tokens[index];
+  // a literal word ends a phrase, so "every \day" doesn't repeat
+  const words = [];
+  for (let i = index; i < tokens.length && !tokens[i].literal && words.length < 5; i += 1) {
+    words.push(tokens[i].word);
+  }
+  if (!words.length) return null;
+
+  // a tag starts with a letter, so "#1" stays text
+  const tag = /^#(\p{L}[\p{L}\p{N}_\-/]*)$/u.exec(token.raw.replace(/[,;:?!.]+$/, ""));
+  if (tag) return { field: "tags", length: 1, value: tag[1] };
+  const priority = /^!(\w+)$/.exec(words[0]);
+  if (priority && PRIORITY_WORDS[priority[1]]) {
+    return { field: "priority", length: 1, value: PRIORITY_WORDS[priority[1]] };
+  }
+
+  const recurrence = matchRecurrence(words, vocabulary);
+  if (recurrence) return { field: "recurrence", length: recurrence.length, value: recurrence.rule };
+  const time = matchTime(words);
+  if (time) return { field: "time", length: time.length, value: time.time };
+  const date = matchDate(words, tokens.length - index, vocabulary, now);
+  if (date) return { field: "date", length: date.length, value: date.date };
+  return null;
+}
+
+function resolveDue(date, time, now) {
+  if (!date && !time) return null;
+  const today = startOfDay(now);
+  let due;
+  if (time) {
+    due = new Date(date ?? today);
+    due.setHours(time.hour, time.minute, 0, 0);
+    // a time on its own means its next occurrence
+    if (!date && due <= now) due = new Date(due.getTime() + MS_PER_DAY);
+  } else {
+    due = new Date(date);
+    due.setHours(DEFAULT_HOUR, 0, 0, 0);
+    // "today" once the default hour has gone: by the end of the day instead
+    if (due <= now && date.getTime() === today.getTime()) due.setHours(23, 59, 0, 0);
+  }
+  return due;
+}
+
+// "every Mon and Thu at 7:30" with no date starts on the first of those days still ahead
+function firstRepeatDay(rule, time, now) {
+  if (rule?.type !== "weekly" || !rule.weekdays) return null;
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const day = addDays(now, offset);
+    if (rule.weekdays.includes(day.getDay()) && resolveDue(day, time, now) > now) return day;
+  }
+  return null;
+}
+
+function resolveRecurrence(rule, due, now) {
+  if (!rule) return null;
+  const anchor = due ?? now;
+  if (rule.type === "weekly" && !rule.weekdays) {
+    return { type: "weekly", weekdays: [anchor.getDay()] };
+  }
+  if (rule.type === "monthly" && !rule.day) return { type: "monthly", day: anchor.getDate() };
+  return rule;
+}
+
+/**
+ * Splits add-row text into the item's text and what was recognised. Returns
+ * { content, dueAt, priority, tagNames, recurrence, parts }, where `parts` are
+ * the recognised stretches of the input, { field, start, end, text }, field
+ * being "date", "time", "priority", "tags" or "recurrence". Only the first
+ * date, time, priority and repeat count; later ones stay in the text. When
+ * nothing but recognised words is left, the whole input is the text instead.
+ */
+export function parseQuickAdd(text, { now = new Date(), locale } = {}) {
+  const input = String(text ?? "");
+  const vocabulary = vocabularyFor(locale);
+  const tokens = tokenize(input);
+  const found = { date: null, time: null, priority: 0, recurrence: null };
+  const tagNames = [];
+  const parts = [];
+  const kept = [];
+
+  for (let index = 0; index < tokens.length; ) {
+    const match = tokens[index].literal ? null : matchAt(tokens, index, vocabulary, now);
+    // a tag given twice is still a tag, any other repeat is text
+    const isNew = match && (match.field === "tags" || !found[match.field]);
+    if (!isNew) {
+      const token = tokens[index];
+      kept.push(token.literal ? token.raw.slice(1) : token.raw);
+      index += 1;
+      continue;
+    }
+    if (match.field !== "tags") found[match.field] = match.value;
+    else if (!tagNames.some((name) => name.toLowerCase() === match.value.toLowerCase())) {
+      tagNames.push(match.value);
+    }
+    const start = tokens[index].start;
+    const end = tokens[index + match.length - 1].end;
+    parts.push({ field: match.field, start, end, text: input.slice(start, end) });
+    index += match.length;
+  }
+
+  const content = kept.join(" ").trim();
+  if (!content) {
+    return {
+      content: tokens.map((token) => (token.literal ? token.raw.slice(1) : token.raw)).join(" "),
+      dueAt: null,
+      priority: 0,
+      tagNames: [],
+      recurrence: null,
+      parts: [],
+    };
+  }
+  const dueDate = found.date ?? firstRepeatDay(found.recurrence, found.time, now);
+  const due = resolveDue(dueDate, found.time, now);
+  return {
+    content,
+    dueAt: due ? due.toISOString() : null,
+    priority: found.priority,
+    tagNames,
+    recurrence: resolveRecurrence(found.recurrence, due, now),
+    parts,
+  };
+}
+
+/** The input with the words of `parts` escaped, so they're read as plain text. */
+export function escapeQuickAddParts(text, parts) {
+  return [...parts]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, part) => {
+      const escaped = result.slice(part.start, part.end).replace(/(^|\s)(\S)/g, "$1\\$2");
+      return result.slice(0, part.start) + escaped + result.slice(part.end);
+    }, text);
+}
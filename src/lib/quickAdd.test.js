@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { escapeQuickAddParts, parseQuickAdd } from "./quickAdd";
+
+// Monday 19 October 2026, 10:00 local time
+const now = new Date(2026, 9, 19, 10, 0);
+
+function parse(text, options = {}) {
+  return parseQuickAdd(text, { now, locale: "en-US", ...options });
+}
+
+function at(year, month, day, hour = 9, minute = 0) {
+  return new Date(year, month, day, hour, minute).toISOString();
+}
+
+describe("parseQuickAdd", () => {
+  it("reads relative day words", () => {
+    expect(parse("Call dentist tomorrow")).toMatchObject({
+      content: "Call dentist",
+      dueAt: at(2026, 9, 20),
+    });
+    expect(parse("Pay rent today").dueAt).toBe(at(2026, 9, 19, 23, 59));
+    expect(parse("Water plants in 3 days").dueAt).toBe(at(2026, 9, 22));
+    expect(parse("Plan trip next week").dueAt).toBe(at(2026, 9, 26));
+    expect(parse("Book flights on Friday").dueAt).toBe(at(2026, 9, 23));
+  });
+
+  it("puts a time of day that has passed on the next day", () => {
+    expect(parse("Stand-up 9am").dueAt).toBe(at(2026, 9, 20, 9));
+    expect(parse("Lunch at noon").dueAt).toBe(at(2026, 9, 19, 12));
+    expect(parse("Call back tomorrow 3:30 pm").dueAt).toBe(at(2026, 9, 20, 15, 30));
+  });
+
+  it("reads priority, tags and repeats", () => {
+    const parsed = parse("Call dentist tomorrow 3pm !high #health every month");
+    expect(parsed).toMatchObject({
+      content: "Call dentist",
+      dueAt: at(2026, 9, 20, 15),
+      priority: 3,
+      tagNames: ["health"],
+      recurrence: { type: "monthly", day: 20 },
+    });
+    expect(parsed.parts.map((part) => part.field)).toEqual([
+      "date",
+      "time",
+      "priority",
+      "tags",
+      "recurrence",
+    ]);
+  });
+
+  it("keeps escaped words as text", () => {
+    expect(parse("Read \\tomorrow \\#1")).toMatchObject({
+      content: "Read tomorrow #1",
+      dueAt: null,
+      tagNames: [],
+    });
+  });
+
+  it("leaves fractions and counts alone", () => {
+    expect(parse("Add 1/2 cup sugar")).toMatchObject({ content: "Add 1/2 cup sugar", dueAt: null });
+    expect(parse("Buy 3 apples")).toMatchObject({ content: "Buy 3 apples", dueAt: null });
+  });
+
+  it("only reads may and march as months after a preposition or at the end", () => {
+    expect(parse("Read chapter 3 may 4")).toMatchObject({
+      content: "Read chapter 3",
+      dueAt: at(2027, 4, 4),
+    });
+    expect(parse("Ask if 2 may join")).toMatchObject({ content: "Ask if 2 may join", dueAt: null });
+    expect(parse("Book venue on 3 may for the party")).toMatchObject({
+      content: "Book venue for the party",
+      dueAt: at(2027, 4, 3),
+    });
+    expect(parse("Renew passport Jan 5 urgently").dueAt).toBe(at(2027, 0, 5));
+  });
+
+  it("only reads words starting with a letter as tags", () => {
+    expect(parse("Email #1 today")).toMatchObject({ content: "Email #1", tagNames: [] });
+    expect(parse("Plan #q4-goals")).toMatchObject({ content: "Plan", tagNames: ["q4-goals"] });
+  });
+
+  it("keeps input that is only recognised words as the text", () => {
+    expect(parse("tomorrow")).toMatchObject({ content: "tomorrow", dueAt: null, parts: [] });
+  });
+
+  it("reads dates in the locale's words and order", () => {
+    expect(parse("Zahnarzt morgen", { locale: "de-DE" })).toMatchObject({
+      content: "Zahnarzt",
+      dueAt: at(2026, 9, 20),
+    });
+    expect(parse("Steuer 5. Januar", { locale: "de-DE" }).dueAt).toBe(at(2027, 0, 5));
+    expect(parse("Steuer am 5. Januar", { locale: "de-DE" })).toMatchObject({
+      content: "Steuer",
+      dueAt: at(2027, 0, 5),
+    });
+    expect(parse("Rent due 3/11", { locale: "de-DE" }).dueAt).toBe(at(2026, 10, 3));
+    expect(parse("Rent due 3/11").dueAt).toBe(at(2027, 2, 11));
+  });
+
+  it("repeats on the weekdays listed, starting on the first one still ahead", () => {
+    expect(parse("Gym every Mon and Thu")).toMatchObject({
+      content: "Gym",
+      dueAt: at(2026, 9, 19, 23, 59),
+      recurrence: { type: "weekly", weekdays: [1, 4] },
+    });
+    expect(parse("Gym every Mon and Thu at 7:30 pm").dueAt).toBe(at(2026, 9, 19, 19, 30));
+    expect(parse("Gym every Mon and Thu at 7am").dueAt).toBe(at(2026, 9, 22, 7));
+  });
+});
+
+describe("escapeQuickAddParts", () => {
+  it("escapes every word of the given parts", () => {
+    const text = "Pay bills next week #home";
+    const { parts } = parse(text);
+    expect(escapeQuickAddParts(text, parts)).toBe("Pay bills \\next \\week \\#home");
+    expect(parse(escapeQuickAddParts(text, parts)).content).toBe("Pay bills next week #home");
+  });
+});
@@ -0,0 +1,114 @@
+// Recurrence rules, stored as JSON on the item:
+//   { type: "daily" }
+//   { type: "weekly", weekdays: [1, 5] }   0 = Sunday
+//   { type: "monthly", day: 15 }           clamped to short months
+//   { type: "days", every: 3 }
+
+export const RECURRENCE_TYPES = {
+  daily: "Daily",
+  weekly: "Weekly",
+  monthly: "Monthly",
+  days: "Every N days",
+};
+
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const MAX_STEPS = 1000;
+
+function clampInt(value, min, max) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return null;
+  return Math.min(max, Math.max(min, number));
+}
+
+/** Returns a valid rule or null, whatever came back from storage. */
+export function normalizeRecurrence(raw) {
+  let rule = raw;
+  if (typeof rule === "string") {
+    try {
+      rule = JSON.parse(rule);
+    } catch {
+      return null;
+    }
+  }
+  if (!rule || typeof rule !== "object") return null;
+
+  if (rule.type === "daily") return { type: "daily" };
+  if (rule.type === "weekly") {
+    const weekdays = [
+      ...new Set((Array.isArray(rule.weekdays) ? rule.weekdays : []).map((d) => clampInt(d, 0, 6))),
+    ]
+      .filter((d) => d !== null)
+      .sort((a, b) => a - b);
+    return weekdays.length ? { type: "weekly", weekdays } : null;
+  }
+  if (rule.type === "monthly") {
+    const day = clampInt(rule.day, 1, 31);
+    return day ? { type: "monthly", day } : null;
+  }
+  if (rule.type === "days") {
+    const every = clampInt(rule.every, 1, 365);
+    return every ? { type: "days", every } : null;
+  }
+  return null;
+}
+
+/** A sensible starting rule of the given type, anchored on a date. */
+export function defaultRecurrence(type, anchor) {
+  if (type === "weekly") return { type, weekdays: [anchor.getDay()] };
+  if (type === "monthly") return { type, day: anchor.getDate() };
+  if (type === "days") return { type, every: 2 };
+  if (type === "daily") return { type };
+  return null;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+function monthlyOn(year, month, day, time) {
+  const next = new Date(year, month, 1, time.getHours(), time.getMinutes(), time.getSeconds());
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  next.setDate(Math.min(day, lastDay));
+  return next;
+}
+
+// The first occurrence strictly after `date`, keeping its time of day.
+function step(rule, date) {
+  if (rule.type === "daily") return addDays(date, 1);
+  if (rule.type === "days") return addDays(date, rule.every);
+  if (rule.type === "weekly") {
+    for (let offset = 1; offset <= 7; offset += 1) {
+      const next = addDays(date, offset);
+      if (rule.weekdays.includes(next.getDay())) return next;
+    }
+    return addDays(date, 7);
+  }
+  const sameMonth = monthlyOn(date.getFullYear(), date.getMonth(), rule.day, date);
+  if (sameMonth > date) return sameMonth;
+  return monthlyOn(date.getFullYear(), date.getMonth() + 1, rule.day, date);
+}
+
+/**
+ * When the next occurrence is due. Counts on from the current due date (or
+ * from now when there is none) and skips occurrences that are already past,
+ * so a chore ticked off late doesn't come back overdue.
+ */
+export function nextOccurrence(rule, dueAt, now) {
+  const due = dueAt ? new Date(dueAt) : null;
+  let next = step(rule, due && !Number.isNaN(due.getTime()) ? due : now);
+  for (let i = 0; next <= now && i < MAX_STEPS; i += 1) next = step(rule, next);
+  return next;
+}
+
+export function describeRecurrence(rule) {
+  if (!rule) return "";
+  if (rule.type === "daily") return "Daily";
+  if (rule.type === "days") return rule.every === 1 ? "Daily" : `Every ${rule.every} days`;
+  if (rule.type === "weekly") {
+    return `Weekly on ${rule.weekdays.map((d) => WEEKDAY_LABELS[d]).join(", ")}`;
+  }
+  return `Monthly on day ${rule.day}`;
+}
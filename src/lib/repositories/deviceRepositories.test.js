@@ -0,0 +1,183 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createLocalRepository } from "./localRepository";
+import { createMemoryRepository } from "./memoryRepository";
+
+const inbox = { id: "l1", name: "Inbox", position: 0 };
+const work = { id: "l2", name: "Work", position: 1 };
+const milk = { id: "a", content: "Buy milk", isCompleted: false, position: 0, listId: "l1" };
+const rent = { id: "b", content: "Pay rent", isCompleted: false, position: 1, listId: "l1" };
+const report = { id: "c", content: "Send report", isCompleted: false, position: 0, listId: "l2" };
+
+async function records(repository, collection) {
+  const { data, error } = await repository.list(collection);
+  expect(error).toBeNull();
+  return data;
+}
+
+describe.each([
+  ["memory", () => createMemoryRepository()],
+  ["local", () => createLocalRepository()],
+])("%s repository", (kind, createRepository) => {
+  let repository;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    repository = createRepository();
+  });
+
+  it("lists what was created, in order", async () => {
+    expect(await records(repository, "items")).toEqual([]);
+    expect(await repository.create("items", [milk, rent])).toEqual({ error: null, status: 200 });
+    expect(await records(repository, "items")).toEqual([milk, rent]);
+    expect(repository.snapshot("items")).toEqual([milk, rent]);
+  });
+
+  it("refuses to create a record twice", async () => {
+    await repository.create("items", [milk]);
+    const { error, status } = await repository.create("items", [{ ...milk, content: "Oat milk" }]);
+    expect(status).toBe(409);
+    expect(error.message).toContain("id a ");
+    expect(await records(repository, "items")).toEqual([milk]);
+  });
+
+  it("replaces records on update and inserts the ones it hasn't seen", async () => {
+    await repository.create("items", [milk, rent]);
+    const done = { ...milk, isCompleted: true };
+    await repository.update("items", [done, report]);
+    expect(await records(repository, "items")).toEqual([done, rent, report]);
+  });
+
+  it("deletes by id", async () => {
+    await repository.create("items", [milk, rent]);
+    await repository.delete("items", ["a"]);
+    expect(await records(repository, "items")).toEqual([rent]);
+  });
+
+  it("takes a list's items along when the list is deleted", async () => {
+    await repository.create("lists", [inbox, work]);
+    await repository.create("items", [milk, rent, report]);
+    await repository.delete("lists", ["l1"]);
+    expect(await records(repository, "lists")).toEqual([work]);
+    expect(await records(repository, "items")).toEqual([report]);
+  });
+
+  it("only moves records that exist", async () => {
+    await repository.create("items", [milk, rent]);
+    await repository.reorder("items", [
+      { id: "a", position: 1 },
+      { id: "b", position: 0 },
+      { id: "gone", position: 2 },
+    ]);
+    expect(await records(repository, "items")).toEqual([
+      { ...milk, position: 1 },
+      { ...rent, position: 0 },
+    ]);
+  });
+
+  it("rejects unknown collections", async () => {
+    const { data, error, status } = await repository.list("notes");
+    expect(data).toBeNull();
+    expect(status).toBe(400);
+    expect(error.message).toContain("notes");
+    expect((await repository.create("notes", [milk])).status).toBe(400);
+  });
+
+  it("forgets everything on clear", async () => {
+    await repository.create("lists", [inbox]);
+    await repository.create("items", [milk]);
+    await repository.clear();
+    expect(await records(repository, "lists")).toEqual([]);
+    expect(await records(repository, "items")).toEqual([]);
+  });
+});
+
+describe("memory repository", () => {
+  it("starts from its seed without sharing the seed's arrays", async () => {
+    const seed = { items: [milk] };
+    const repository = createMemoryRepository(seed);
+    await repository.create("items", [rent]);
+    expect(await records(repository, "items")).toEqual([milk, rent]);
+    expect(seed.items).toEqual([milk]);
+  });
+
+  it("never reports changes, since nothing else can write to it", async () => {
+    const repository = createMemoryRepository();
+    const onChange = vi.fn();
+    const unsubscribe = repository.subscribe(onChange);
+    await repository.create("items", [milk]);
+    window.dispatchEvent(new StorageEvent("storage", { key: "todo-guest-items" }));
+    unsubscribe();
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it("keeps separate repositories apart", async () => {
+    const first = createMemoryRepository();
+    const second = createMemoryRepository();
+    await first.create("items", [milk]);
+    expect(await records(second, "items")).toEqual([]);
+  });
+});
+
+describe("local repository", () => {
+  let repository;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    repository = createLocalRepository();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("shares what it saves with every other repository in this browser", async () => {
+    await repository.create("items", [milk]);
+    expect(JSON.parse(window.localStorage.getItem("todo-guest-items"))).toEqual([milk]);
+    expect(await records(createLocalRepository(), "items")).toEqual([milk]);
+  });
+
+  it("reports a collection another tab rewrote", () => {
+    const onChange = vi.fn();
+    const unsubscribe = repository.subscribe(onChange);
+    window.localStorage.setItem("todo-guest-items", JSON.stringify([milk]));
+    window.dispatchEvent(new StorageEvent("storage", { key: "todo-guest-items" }));
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ collection: "items", type: "reset", records: [milk] });
+
+    onChange.mockClear();
+    window.dispatchEvent(new StorageEvent("storage", { key: "someone-elses-key" }));
+    expect(onChange).not.toHaveBeenCalled();
+
+    unsubscribe();
+    window.dispatchEvent(new StorageEvent("storage", { key: "todo-guest-items" }));
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it("resets every collection when another tab clears storage", () => {
+    const onChange = vi.fn();
+    const unsubscribe = repository.subscribe(onChange);
+    window.dispatchEvent(new StorageEvent("storage", { key: null }));
+    unsubscribe();
+    expect(onChange.mock.calls.map(([change]) => change.collection)).toEqual([
+      "items",
+      "lists",
+      "tags",
+      "activity",
+    ]);
+  });
+
+  it("reports a refused write instead of losing it quietly", async () => {
+    vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("Quota exceeded", "QuotaExceededError");
+    });
+    const { error, status } = await repository.create("items", [milk]);
+    expect(status).toBe(507);
+    expect(error).toBeInstanceOf(Error);
+  });
+
+  it("reads a damaged collection as empty", async () => {
+    window.localStorage.setItem("todo-guest-items", "{not json");
+    expect(await records(repository, "items")).toEqual([]);
+  });
+});
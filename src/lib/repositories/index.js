@@ -0,0 +1,55 @@
+// Every place the app reads or writes data goes through a repository, so the
+// UI runs the same against Supabase, the browser's localStorage or memory.
+//
+// Collections are "items", "lists", "tags" and "activity"; records use the app's shape
+// ({ id, content, isCompleted, position, listId, ... }), not table columns.
+// Ids are made on the client, so every write is safe to repeat.
+//
+//   list(collection)             -> Promise<{ data, error }>
+//   create(collection, records)  -> Promise<{ error, status }>
+//   update(collection, records)  -> Promise<{ error, status }>   insert or replace by id
+//   delete(collection, ids)      -> Promise<{ error, status }>   a list takes its items along
+//   reorder(collection, moves)   -> Promise<{ error, status }>   moves are { id, position, ... }
+//   subscribe(onChange)          -> unsubscribe
+//
+// onChange receives changes made elsewhere (another tab or device):
+//   { collection, type: "upsert", record }
+//   { collection, type: "delete", id }
+//   { collection, type: "reset", records }   the whole collection was rewritten
+//
+// Stores that live on this device also offer snapshot(collection), a
+// synchronous read for the first render, and clear().
+//
+// Supabase also shares lists between accounts: invite(listId, email, role)
+// adds someone, and the "members" collection ({ id, listId, userId, email,
+// role }) can be listed and deleted from, but not written. There, "activity"
+// only ever gains entries: listing returns the newest ones, and a write never
+// replaces an entry that's already there.
+
+import { supabase } from "../supabaseClient";
+import { createLocalRepository } from "./localRepository";
+import { createMemoryRepository } from "./memoryRepository";
+import { createSupabaseRepository } from "./supabaseRepository";
+
+export { createLocalRepository, createMemoryRepository, createSupabaseRepository };
+
+export const COLLECTIONS = ["items", "lists", "tags", "activity"];
+
+/**
+ * Which backend this page runs against: `?storage=memory|local` in the URL,
+ * then VITE_STORAGE_BACKEND, then Supabase when it's configured.
+ */
+export function getStorageBackend() {
+  const fromUrl =
+    typeof window !== "undefined"
+      ? new URLSearchParams(window.location?.search ?? "").get("storage")
+      : null;
+  const requested = fromUrl || import.meta.env.VITE_STORAGE_BACKEND;
+  if (requested === "memory" || requested === "local") return requested;
+  return supabase ? "supabase" : "local";
+}
+
+/** The store used while nobody is signed in (and always, for local and memory). */
+export function createDeviceRepository(backend) {
+  return backend === "memory" ? createMemoryRepository() : createLocalRepository();
+}
@@ -0,0 +1,81 @@
+import { hasLocalStorage, readStoredArray, writeStoredArray } from "../storage";
+import {
+  OK,
+  insertRecords,
+  patchRecords,
+  removeRecords,
+  unknownCollection,
+  upsertRecords,
+} from "./records";
+
+const STORAGE_KEYS = {
+  items: "todo-guest-items",
+  lists: "todo-guest-lists",
+  tags: "todo-guest-tags",
+  activity: "todo-guest-activity",
+};
+
+/** Guest data in this browser's localStorage, shared by every tab of the app. */
+export function createLocalRepository() {
+  function write(collection, transform) {
+    const key = STORAGE_KEYS[collection];
+    if (!key) return Promise.resolve(unknownCollection(collection));
+    const { records, error } = transform(readStoredArray(key));
+    if (error) return Promise.resolve({ error, status: 409 });
+    if (!writeStoredArray(key, records)) {
+      return Promise.resolve({ error: new Error("This browser refused to save."), status: 507 });
+    }
+    return Promise.resolve(OK);
+  }
+
+  function snapshot(collection) {
+    return STORAGE_KEYS[collection] ? readStoredArray(STORAGE_KEYS[collection]) : [];
+  }
+
+  return {
+    kind: "local",
+    snapshot,
+    list(collection) {
+      if (!STORAGE_KEYS[collection]) {
+        return Promise.resolve({ data: null, ...unknownCollection(collection) });
+      }
+      return Promise.resolve({ data: snapshot(collection), error: null });
+    },
+    create(collection, records) {
+      return write(collection, (current) => insertRecords(current, records));
+    },
+    update(collection, records) {
+      return write(collection, (current) => ({ records: upsertRecords(current, records) }));
+    },
+    delete(collection, ids) {
+      // like the database's cascade, a list takes its items with it
+      if (collection === "lists") {
+        write("items", (current) => ({
+          records: current.filter((item) => !ids.includes(item.listId)),
+        }));
+      }
+      return write(collection, (current) => ({ records: removeRecords(current, ids) }));
+    },
+    reorder(collection, moves) {
+      return write(collection, (current) => ({ records: patchRecords(current, moves) }));
+    },
+    // storage events only fire in the other tabs, never for this tab's own writes
+    subscribe(onChange) {
+      if (typeof window === "undefined") return () => {};
+      function handleStorage(event) {
+        Object.entries(STORAGE_KEYS).forEach(([collection, key]) => {
+          if (event.key !== null && event.key !== key) return;
+          onChange({ collection, type: "reset", records: readStoredArray(key) });
+        });
+      }
+      window.addEventListener("storage", handleStorage);
+      return () => window.removeEventListener("storage", handleStorage);
+    },
+    clear() {
+      if (hasLocalStorage()) {
+        Object.values(STORAGE_KEYS).forEach((key) => window.localStorage.removeItem(key));
+      }
+      return Promise.resolve(OK);
+    },
+  };
+}
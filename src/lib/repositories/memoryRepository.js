@@ -0,0 +1,68 @@
+import {
+  OK,
+  insertRecords,
+  patchRecords,
+  removeRecords,
+  unknownCollection,
+  upsertRecords,
+} from "./records";
+
+/**
+ * Keeps everything in memory for demos and automated runs; a reload starts
+ * over from `seed`. Nothing else can write to it, so subscribe never fires.
+ */
+export function createMemoryRepository(seed = {}) {
+  const store = {
+    items: [...(seed.items ?? [])],
+    lists: [...(seed.lists ?? [])],
+    tags: [...(seed.tags ?? [])],
+    activity: [...(seed.activity ?? [])],
+  };
+
+  function write(collection, transform) {
+    if (!store[collection]) return Promise.resolve(unknownCollection(collection));
+    const { records, error } = transform(store[collection]);
+    store[collection] = records;
+    return Promise.resolve(error ? { error, status: 409 } : OK);
+  }
+
+  function snapshot(collection) {
+    return (store[collection] ?? []).map((record) => ({ ...record }));
+  }
+
+  return {
+    kind: "memory",
+    snapshot,
+    list(collection) {
+      if (!store[collection]) return Promise.resolve({ data: null, ...unknownCollection(collection) });
+      return Promise.resolve({ data: snapshot(collection), error: null });
+    },
+    create(collection, records) {
+      return write(collection, (current) => insertRecords(current, records));
+    },
+    update(collection, records) {
+      return write(collection, (current) => ({ records: upsertRecords(current, records) }));
+    },
+    delete(collection, ids) {
+      // like the database's cascade, a list takes its items with it
+      if (collection === "lists") {
+        write("items", (current) => ({
+          records: current.filter((item) => !ids.includes(item.listId)),
+        }));
+      }
+      return write(collection, (current) => ({ records: removeRecords(current, ids) }));
+    },
+    reorder(collection, moves) {
+      return write(collection, (current) => ({ records: patchRecords(current, moves) }));
+    },
+    subscribe() {
+      return () => {};
+    },
+    clear() {
+      Object.keys(store).forEach((collection) => {
+        store[collection] = [];
+      });
+      return Promise.resolve(OK);
+    },
+  };
+}
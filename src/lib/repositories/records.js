@@ -0,0 +1,39 @@
+// Pure helpers shared by the stores that keep whole collections on this device.
+
+export const OK = { error: null, status: 200 };
+
+export function unknownCollection(collection) {
+  return { error: new Error(`Unknown collection "${collection}".`), status: 400 };
+}
+
+export function insertRecords(records, incoming) {
+  const ids = new Set(records.map((record) => record.id));
+  const duplicate = incoming.find((record) => ids.has(record.id));
+  if (duplicate) {
+    return { records, error: new Error(`A record with id ${duplicate.id} already exists.`) };
+  }
+  return { records: [...records, ...incoming], error: null };
+}
+
+export function upsertRecords(records, incoming) {
+  const byId = new Map(incoming.map((record) => [record.id, record]));
+  const next = records.map((record) => {
+    const replacement = byId.get(record.id);
+    byId.delete(record.id);
+    return replacement ?? record;
+  });
+  return [...next, ...byId.values()];
+}
+
+export function removeRecords(records, ids) {
+  const removed = new Set(ids);
+  return records.filter((record) => !removed.has(record.id));
+}
+
+// Moves only touch records that still exist; a reorder never creates one.
+export function patchRecords(records, moves) {
+  const byId = new Map(moves.map((move) => [move.id, move]));
+  return records.map((record) =>
+    byId.has(record.id) ? { ...record, ...byId.get(record.id) } : record
+  );
+}
@@ -0,0 +1,254 @@
+import { ACTIVITY_LIMIT } from "../activity";
+import { normalizePriority } from "../priorities";
+import { normalizeRecurrence } from "../recurrence";
+
+// Supabase column names in your schema
+const COL_CONTENT = "title";
+const COL_COMPLETED = "completed";
+const COL_LIST = "list_id";
+const COL_DUE = "due_at";
+const COL_PARENT = "parent_id";
+const COL_TAGS = "tag_ids";
+const COL_RECURRENCE = "recurrence";
+const COL_PRIORITY = "priority";
+const COL_CREATED = "created_at";
+const COL_NOTES = "notes";
+const COL_CREATED_BY = "created_by";
+const COL_COMPLETED_BY = "completed_by";
+const COL_COMPLETED_AT = "completed_at";
+const COL_DELETED = "deleted_at";
+
+function toItemRow(item, userId) {
+  return {
+    id: item.id,
+    [COL_CONTENT]: item.content,
+    [COL_COMPLETED]: item.isCompleted,
+    position: item.position,
+    [COL_LIST]: item.listId,
+    [COL_DUE]: item.dueAt ?? null,
+    [COL_PARENT]: item.parentId ?? null,
+    [COL_TAGS]: item.tagIds ?? [],
+    [COL_RECURRENCE]: item.recurrence ?? null,
+    [COL_PRIORITY]: item.priority ?? 0,
+    [COL_NOTES]: item.notes ?? "",
+    [COL_DELETED]: item.deletedAt ?? null,
+    // the column is not null, and items made before it was tracked on this device have none
+    [COL_CREATED]: item.createdAt ?? new Date().toISOString(),
+    [COL_COMPLETED_AT]: item.completedAt ?? null,
+    user_id: userId,
+  };
+}
+
+function fromItemRow(row, index = 0) {
+  return {
+    id: row.id,
+    content: row[COL_CONTENT],
+    isCompleted: row[COL_COMPLETED],
+    position: typeof row.position === "number" ? row.position : index,
+    listId: row[COL_LIST],
+    dueAt: row[COL_DUE] ?? null,
+    parentId: row[COL_PARENT] ?? null,
+    tagIds: row[COL_TAGS] ?? [],
+    recurrence: normalizeRecurrence(row[COL_RECURRENCE]),
+    priority: normalizePriority(row[COL_PRIORITY]),
+    notes: row[COL_NOTES] ?? "",
+    deletedAt: row[COL_DELETED] ?? null,
+    createdAt: row[COL_CREATED] ?? null,
+    completedAt: row[COL_COMPLETED_AT] ?? null,
+    // filled in by the server, never written back
+    createdBy: row[COL_CREATED_BY] ?? null,
+    completedBy: row[COL_COMPLETED_BY] ?? null,
+  };
+}
+
+function toListRow(list, userId) {
+  return { id: list.id, name: list.name, position: list.position, user_id: userId };
+}
+
+function fromListRow(row, index = 0) {
+  return {
+    id: row.id,
+    name: row.name,
+    position: typeof row.position === "number" ? row.position : index,
+    ownerId: row.user_id,
+  };
+}
+
+function toTagRow(tag, userId) {
+  return { id: tag.id, name: tag.name, color: tag.color, user_id: userId };
+}
+
+function fromTagRow(row) {
+  return { id: row.id, name: row.name, color: row.color, ownerId: row.user_id };
+}
+
+function toActivityRow(entry) {
+  // actor_id defaults to whoever is signed in, and the server won't take anyone else's
+  return {
+    id: entry.id,
+    item_id: entry.itemId,
+    list_id: entry.listId,
+    kind: entry.kind,
+    content: entry.content,
+    previous_content: entry.previousContent ?? null,
+    from_list_id: entry.fromListId ?? null,
+    created_at: entry.at,
+  };
+}
+
+function fromActivityRow(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    listId: row.list_id,
+    kind: row.kind,
+    content: row.content,
+    previousContent: row.previous_content ?? null,
+    fromListId: row.from_list_id ?? null,
+    actorId: row.actor_id ?? null,
+    at: row.created_at,
+  };
+}
+
+function fromMemberRow(row) {
+  return { id: row.id, listId: row.list_id, userId: row.user_id, email: row.email, role: row.role };
+}
+
+const TABLES = {
+  items: {
+    name: "todos",
+    columns: `id, ${COL_CONTENT}, ${COL_COMPLETED}, position, ${COL_LIST}, ${COL_DUE}, ${COL_PARENT}, ${COL_TAGS}, ${COL_RECURRENCE}, ${COL_PRIORITY}, ${COL_CREATED}, ${COL_NOTES}, ${COL_CREATED_BY}, ${COL_COMPLETED_BY}, ${COL_COMPLETED_AT}, ${COL_DELETED}`,
+    order: ["position", "created_at"],
+    toRow: toItemRow,
+    fromRow: fromItemRow,
+  },
+  lists: {
+    name: "todo_lists",
+    columns: "id, name, position, user_id",
+    order: ["position", "created_at"],
+    toRow: toListRow,
+    fromRow: fromListRow,
+  },
+  tags: {
+    name: "todo_tags",
+    columns: "id, name, color, user_id",
+    order: ["name"],
+    toRow: toTagRow,
+    fromRow: fromTagRow,
+  },
+  // people on shared lists; added through invite(), removed with delete()
+  members: {
+    name: "todo_list_members",
+    columns: "id, list_id, user_id, email, role",
+    order: ["created_at"],
+    fromRow: fromMemberRow,
+  },
+  // an append-only log: list() returns the newest rows, writes skip ids already there
+  activity: {
+    name: "todo_activity",
+    columns: "id, item_id, list_id, kind, content, previous_content, from_list_id, actor_id, created_at",
+    order: ["created_at"],
+    recent: ACTIVITY_LIMIT,
+    appendOnly: true,
+    toRow: toActivityRow,
+    fromRow: fromActivityRow,
+  },
+};
+
+// A reorder only rewrites where a row sits, never its content.
+function toPlacement(move) {
+  const patch = { position: move.position };
+  if (move.listId !== undefined) patch[COL_LIST] = move.listId;
+  if (move.parentId !== undefined) patch[COL_PARENT] = move.parentId ?? null;
+  return patch;
+}
+
+function unknownTable(collection) {
+  return { error: new Error(`Unknown collection "${collection}".`), status: 400 };
+}
+
+function readOnlyTable(collection) {
+  return { error: new Error(`"${collection}" can't be written directly.`), status: 405 };
+}
+
+/**
+ * One signed-in user's rows plus the lists shared with them; row-level
+ * security decides what's visible and what may be written.
+ */
+export function createSupabaseRepository(client, userId) {
+  return {
+    kind: "supabase",
+    async list(collection) {
+      const table = TABLES[collection];
+      if (!table) return { data: null, ...unknownTable(collection) };
+      const select = client.from(table.name).select(table.columns);
+      if (table.recent) {
+        const { data, error } = await table.order
+          .reduce((q, column) => q.order(column, { ascending: false }), select)
+          .limit(table.recent);
+        return { data: data ? data.reverse().map(table.fromRow) : null, error };
+      }
+      const query = table.order.reduce((q, column) => q.order(column, { ascending: true }), select);
+      const { data, error } = await query;
+      return { data: data ? data.map(table.fromRow) : null, error };
+    },
+    create(collection, records) {
+      const table = TABLES[collection];
+      if (!table) return Promise.resolve(unknownTable(collection));
+      if (!table.toRow) return Promise.resolve(readOnlyTable(collection));
+      return client.from(table.name).insert(records.map((r) => table.toRow(r, userId)));
+    },
+    update(collection, records) {
+      const table = TABLES[collection];
+      if (!table) return Promise.resolve(unknownTable(collection));
+      if (!table.toRow) return Promise.resolve(readOnlyTable(collection));
+      return client.from(table.name).upsert(
+        records.map((r) => table.toRow(r, userId)),
+        { ignoreDuplicates: Boolean(table.appendOnly) }
+      );
+    },
+    delete(collection, ids) {
+      const table = TABLES[collection];
+      if (!table) return Promise.resolve(unknownTable(collection));
+      return client.from(table.name).delete().in("id", ids);
+    },
+    async reorder(collection, moves) {
+      const table = TABLES[collection];
+      if (!table) return unknownTable(collection);
+      const results = await Promise.all(
+        moves.map((move) => client.from(table.name).update(toPlacement(move)).eq("id", move.id))
+      );
+      return results.find((result) => result.error) ?? { error: null, status: 200 };
+    },
+    // Adds someone to a list by email, or changes their role ("editor" or "viewer").
+    async invite(listId, email, role) {
+      const { data, error } = await client.rpc("invite_to_list", {
+        p_list_id: listId,
+        p_email: email,
+        p_role: role,
+      });
+      return { data: data ? data.map(fromMemberRow) : null, error };
+    },
+    // Realtime applies row-level security, so shared rows arrive without a filter.
+    // Delete events can't be filtered at all, but only carry the id of a row RLS let us see.
+    subscribe(onChange) {
+      let channel = client.channel(`todos-${userId}`);
+      Object.entries(TABLES).forEach(([collection, table]) => {
+        const handleRow = ({ new: row }) => {
+          if (row?.id) onChange({ collection, type: "upsert", record: table.fromRow(row) });
+        };
+        const handleDelete = ({ old: row }) => {
+          if (row?.id) onChange({ collection, type: "delete", id: row.id });
+        };
+        channel = channel
+          .on("postgres_changes", { schema: "public", event: "INSERT", table: table.name }, handleRow)
+          .on("postgres_changes", { schema: "public", event: "UPDATE", table: table.name }, handleRow)
+          .on("postgres_changes", { schema: "public", event: "DELETE", table: table.name }, handleDelete);
+      });
+      channel.subscribe();
+      return () => {
+        client.removeChannel(channel);
+      };
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// Search query syntax:
+//   milk bread      items containing both words
+//   "buy milk"      the exact phrase
+//   -bread          items without the word
+//   is:done/is:open completed or open items (also -is:done)
+
+const TOKEN_PATTERN = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+const STATUS_WORDS = {
+  "is:done": true,
+  "is:completed": true,
+  "is:open": false,
+  "is:active": false,
+};
+
+export function parseQuery(text) {
+  const terms = [];
+  let completed = null;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const negate = Boolean(match[1] || match[3]);
+    const value = (match[2] ?? match[4] ?? "").toLowerCase();
+    if (!value) continue;
+
+    if (match[4] !== undefined && value in STATUS_WORDS) {
+      completed = negate ? !STATUS_WORDS[value] : STATUS_WORDS[value];
+      continue;
+    }
+    terms.push({ value, negate });
+  }
+
+  return { terms, completed };
+}
+
+export function isEmptyQuery(query) {
+  return !query.terms.length && query.completed === null;
+}
+
+export function matchesQuery(item, query) {
+  if (query.completed !== null && item.isCompleted !== query.completed) return false;
+  const content = item.content.toLowerCase();
+  return query.terms.every((term) => content.includes(term.value) !== term.negate);
+}
+
+/** Splits text into [{ text, match }] segments for the positive terms of a query. */
+export function highlightSegments(text, query) {
+  const needles = query.terms.filter((term) => !term.negate).map((term) => term.value);
+  if (!needles.length) return [{ text, match: false }];
+
+  const lower = text.toLowerCase();
+  const marked = new Array(text.length).fill(false);
+  needles.forEach((needle) => {
+    let index = lower.indexOf(needle);
+    while (index !== -1) {
+      marked.fill(true, index, index + needle.length);
+      index = lower.indexOf(needle, index + needle.length);
+    }
+  });
+
+  const segments = [];
+  for (let i = 0; i < text.length; i += 1) {
+    const last = segments[segments.length - 1];
+    if (last && last.match === marked[i]) last.text += text[i];
+    else segments.push({ text: text[i], match: marked[i] });
+  }
+  return segments;
+}
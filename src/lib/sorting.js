@@ -0,0 +1,41 @@
+// View-only orderings. They rearrange rows for display and never touch the
+// stored manual position, so switching back to "manual" restores the list.
+
+import { orderTree } from "./tree";
+
+export const SORT_MODES = {
+  manual: "Manual",
+  priority: "Priority",
+  due: "Due date",
+  created: "Newest first",
+  alpha: "A–Z",
+};
+
+function timeOf(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// items without a value go last
+function byMissingLast(a, b, compare) {
+  if (a === null || b === null) return a === null ? (b === null ? 0 : 1) : -1;
+  return compare(a, b);
+}
+
+const COMPARE = {
+  priority: (a, b) => (b.priority ?? 0) - (a.priority ?? 0),
+  due: (a, b) => byMissingLast(timeOf(a.dueAt), timeOf(b.dueAt), (x, y) => x - y),
+  created: (a, b) => byMissingLast(timeOf(a.createdAt), timeOf(b.createdAt), (x, y) => y - x),
+  alpha: (a, b) =>
+    a.content.localeCompare(b.content, undefined, { sensitivity: "base", numeric: true }),
+};
+
+/**
+ * Sorts siblings by the mode, keeping subtasks under their parents and open
+ * items ahead of completed ones. Ties keep their manual order.
+ */
+export function sortItems(itemsList, mode) {
+  const compare = COMPARE[mode];
+  if (!compare) return itemsList;
+  return orderTree([...itemsList].sort(compare));
+}
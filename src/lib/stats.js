@@ -0,0 +1,105 @@
+// How much gets done, from the createdAt and completedAt each item records.
+// Days are local days and weeks start on Monday. Items completed before
+// completedAt was recorded have none and are left out of the timings.
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function startOfWeek(date) {
+  return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function validDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+function completionDates(items) {
+  return items.flatMap((item) => {
+    const date = item.isCompleted ? validDate(item.completedAt) : null;
+    return date ? [date] : [];
+  });
+}
+
+// Buckets of `size` days ending with the one `now` is in, oldest first: [{ start, count }].
+function countByBucket(items, firstStart, buckets, size) {
+  const counts = new Map();
+  const starts = Array.from({ length: buckets }, (_, index) => addDays(firstStart, index * size));
+  starts.forEach((start) => counts.set(dayKey(start), 0));
+  completionDates(items).forEach((date) => {
+    const day = startOfDay(date);
+    const start = size === 7 ? startOfWeek(day) : day;
+    const key = dayKey(start);
+    if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+  });
+  return starts.map((start) => ({ start, count: counts.get(dayKey(start)) }));
+}
+
+export function completedPerDay(items, now = new Date(), days = 14) {
+  return countByBucket(items, addDays(startOfDay(now), 1 - days), days, 1);
+}
+
+export function completedPerWeek(items, now = new Date(), weeks = 12) {
+  return countByBucket(items, addDays(startOfWeek(startOfDay(now)), (1 - weeks) * 7), weeks, 7);
+}
+
+/**
+ * Days in a row with something completed, up to today. A streak that reached
+ * yesterday still counts until today is over.
+ */
+export function currentStreak(items, now = new Date()) {
+  const days = new Set(completionDates(items).map(dayKey));
+  let day = startOfDay(now);
+  if (!days.has(dayKey(day))) day = addDays(day, -1);
+  let streak = 0;
+  while (days.has(dayKey(day))) {
+    streak += 1;
+    day = addDays(day, -1);
+  }
+  return streak;
+}
+
+/** Mean time from creation to completion in milliseconds, or null with nothing to go on. */
+export function averageTimeToComplete(items) {
+  const durations = items.flatMap((item) => {
+    const created = validDate(item.createdAt);
+    const completed = item.isCompleted ? validDate(item.completedAt) : null;
+    return created && completed && completed >= created ? [completed - created] : [];
+  });
+  if (!durations.length) return null;
+  return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+}
+
+/** Open and done counts for each list, in list order: [{ list, open, done }]. */
+export function listProgress(items, lists) {
+  return lists.map((list) => {
+    const listItems = items.filter((item) => item.listId === list.id);
+    const done = listItems.filter((item) => item.isCompleted).length;
+    return { list, open: listItems.length - done, done };
+  });
+}
+
+/** "3 days", "5 hours", "12 minutes", rounded to the largest unit that fits. */
+export function formatDuration(ms) {
+  const [size, unit] =
+    ms >= MS_PER_DAY
+      ? [MS_PER_DAY, "day"]
+      : ms >= MS_PER_HOUR
+      ? [MS_PER_HOUR, "hour"]
+      : [MS_PER_MINUTE, "minute"];
+  const count = Math.max(1, Math.round(ms / size));
+  return `${count} ${unit}${count === 1 ? "" : "s"}`;
+}
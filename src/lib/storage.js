@@ -0,0 +1,26 @@
+export function hasLocalStorage() {
+  return typeof window !== "undefined" && typeof window.localStorage !== "undefined";
+}
+
+export function readStoredArray(key) {
+  if (!hasLocalStorage()) return [];
+  const raw = window.localStorage.getItem(key);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Returns false when the browser refused the write (private mode, full quota).
+export function writeStoredArray(key, value) {
+  if (!hasLocalStorage()) return false;
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,154 @@
+// Durable outbox for writes to a remote repository. Every change is recorded
+// here first and replayed in order, so edits made offline survive reloads and
+// reach the server once the connection comes back.
+
+import { hasLocalStorage } from "./storage";
+
+const OUTBOX_KEY_PREFIX = "todo-sync-outbox";
+const BASE_RETRY_MS = 1000;
+const MAX_RETRY_MS = 60 * 1000;
+
+export function outboxKey(userId) {
+  return `${OUTBOX_KEY_PREFIX}:${userId}`;
+}
+
+export function loadOutbox(userId) {
+  if (!userId || !hasLocalStorage()) return [];
+  const raw = window.localStorage.getItem(outboxKey(userId));
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function persistOutbox(userId, entries) {
+  if (!userId || !hasLocalStorage()) return;
+  try {
+    if (entries.length) {
+      window.localStorage.setItem(outboxKey(userId), JSON.stringify(entries));
+    } else {
+      window.localStorage.removeItem(outboxKey(userId));
+    }
+  } catch {
+    // ignore storage write errors
+  }
+}
+
+function mergeRecords(previousRecords, nextRecords) {
+  const byId = new Map(previousRecords.map((record) => [record.id, record]));
+  nextRecords.forEach((record) => byId.set(record.id, { ...byId.get(record.id), ...record }));
+  return [...byId.values()];
+}
+
+/**
+ * Appends an operation to the outbox. Consecutive upserts to the same collection
+ * collapse into one entry; bumping its revision tells whoever is sending the
+ * older copy not to drop it when that request succeeds.
+ */
+export function enqueueOperation(entries, operation) {
+  const tail = entries[entries.length - 1];
+  if (
+    operation.kind === "upsert" &&
+    tail &&
+    tail.kind === "upsert" &&
+    tail.collection === operation.collection &&
+    !tail.failed
+  ) {
+    return [
+      ...entries.slice(0, -1),
+      {
+        ...tail,
+        records: mergeRecords(tail.records, operation.records),
+        revision: (tail.revision || 0) + 1,
+      },
+    ];
+  }
+
+  return [
+    ...entries,
+    {
+      ...operation,
+      id: `${Date.now()}-${Math.random().toString(16).slice(2)}`,
+      revision: 0,
+      attempts: 0,
+      retryAt: 0,
+      failed: false,
+      error: "",
+    },
+  ];
+}
+
+export function runOperation(repository, entry) {
+  if (entry.kind === "delete") return repository.delete(entry.collection, entry.ids);
+  if (entry.kind === "reorder") return repository.reorder(entry.collection, entry.records);
+  return repository.update(entry.collection, entry.records);
+}
+
+// Network failures come back from supabase-js with status 0.
+function isTransient(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+export function applyResult(entries, entryId, revision, { error, status }) {
+  return entries.flatMap((entry) => {
+    if (entry.id !== entryId) return [entry];
+    if (!error) {
+      // records were merged in while the request was in flight; send it again
+      return entry.revision === revision ? [] : [{ ...entry, attempts: 0, retryAt: 0 }];
+    }
+    const attempts = entry.attempts + 1;
+    if (!isTransient(status)) {
+      return [{ ...entry, attempts, failed: true, error: error.message }];
+    }
+    const delay = Math.min(MAX_RETRY_MS, BASE_RETRY_MS * 2 ** (attempts - 1));
+    return [{ ...entry, attempts, retryAt: Date.now() + delay, error: error.message }];
+  });
+}
+
+export function retryFailedEntries(entries) {
+  return entries.map((entry) =>
+    entry.failed ? { ...entry, failed: false, attempts: 0, retryAt: 0, error: "" } : entry
+  );
+}
+
+export function discardFailedEntries(entries) {
+  return entries.filter((entry) => !entry.failed);
+}
+
+/** Returns a Map of record id -> "pending" | "failed" for one collection. */
+export function getRowStates(entries, collection) {
+  const states = new Map();
+  entries.forEach((entry) => {
+    if (entry.collection !== collection) return;
+    const ids = entry.kind === "delete" ? entry.ids : entry.records.map((record) => record.id);
+    ids.forEach((id) => {
+      if (states.get(id) === "failed") return;
+      states.set(id, entry.failed ? "failed" : "pending");
+    });
+  });
+  return states;
+}
+
+/** Replays queued writes over freshly fetched records so unsent changes aren't lost on reload. */
+export function applyPendingRows(records, entries, collection) {
+  let nextRecords = records;
+  entries.forEach((entry) => {
+    if (entry.collection !== collection) return;
+    if (entry.kind === "delete") {
+      const ids = new Set(entry.ids);
+      nextRecords = nextRecords.filter((record) => !ids.has(record.id));
+    } else if (entry.kind === "reorder") {
+      // a reorder never brings back a record that's gone
+      const moves = new Map(entry.records.map((move) => [move.id, move]));
+      nextRecords = nextRecords.map((record) =>
+        moves.has(record.id) ? { ...record, ...moves.get(record.id) } : record
+      );
+    } else {
+      nextRecords = mergeRecords(nextRecords, entry.records);
+    }
+  });
+  return nextRecords;
+}
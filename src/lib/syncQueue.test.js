@@ -0,0 +1,209 @@
+// @vitest-environment jsdom
+import { act, cleanup, renderHook, waitFor } from "@testing-library/react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  applyResult,
+  discardFailedEntries,
+  enqueueOperation,
+  getRowStates,
+  loadOutbox,
+  outboxKey,
+  persistOutbox,
+  retryFailedEntries,
+} from "./syncQueue";
+import useSyncQueue from "./useSyncQueue";
+
+const NOW = new Date(2026, 9, 19, 12, 0).getTime();
+
+function upsert(collection, ...records) {
+  return { kind: "upsert", collection, records };
+}
+
+function failure(status, message = "Request failed") {
+  return { error: new Error(message), status };
+}
+
+describe("enqueueOperation", () => {
+  it("folds consecutive upserts to one collection into the last entry", () => {
+    let entries = enqueueOperation([], upsert("items", { id: "a", content: "Milk" }));
+    entries = enqueueOperation(entries, upsert("items", { id: "a", isCompleted: true }));
+    entries = enqueueOperation(entries, upsert("items", { id: "b", content: "Rent" }));
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0].revision).toBe(2);
+    expect(entries[0].records).toEqual([
+      { id: "a", content: "Milk", isCompleted: true },
+      { id: "b", content: "Rent" },
+    ]);
+  });
+
+  it("keeps order across collections, deletes and reorders", () => {
+    let entries = enqueueOperation([], upsert("items", { id: "a" }));
+    entries = enqueueOperation(entries, upsert("lists", { id: "l1" }));
+    entries = enqueueOperation(entries, { kind: "delete", collection: "lists", ids: ["l1"] });
+    entries = enqueueOperation(entries, upsert("lists", { id: "l2" }));
+    entries = enqueueOperation(entries, {
+      kind: "reorder",
+      collection: "items",
+      records: [{ id: "a", position: 1 }],
+    });
+
+    expect(entries.map((entry) => [entry.kind, entry.collection])).toEqual([
+      ["upsert", "items"],
+      ["upsert", "lists"],
+      ["delete", "lists"],
+      ["upsert", "lists"],
+      ["reorder", "items"],
+    ]);
+    expect(new Set(entries.map((entry) => entry.id)).size).toBe(5);
+  });
+
+  it("doesn't fold into an entry that failed", () => {
+    const [entry] = enqueueOperation([], upsert("items", { id: "a" }));
+    const entries = enqueueOperation([{ ...entry, failed: true }], upsert("items", { id: "b" }));
+    expect(entries).toHaveLength(2);
+    expect(entries[0].records).toEqual([{ id: "a" }]);
+  });
+});
+
+describe("applyResult", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("drops an entry once it's sent", () => {
+    const entries = enqueueOperation([], upsert("items", { id: "a" }));
+    expect(applyResult(entries, entries[0].id, 0, { error: null, status: 200 })).toEqual([]);
+  });
+
+  it("sends an entry again when records were folded in while it was in flight", () => {
+    const sent = enqueueOperation([], upsert("items", { id: "a" }));
+    const entries = enqueueOperation(sent, upsert("items", { id: "b" }));
+    const [entry] = applyResult(entries, sent[0].id, 0, { error: null, status: 200 });
+    expect(entry.records.map((record) => record.id)).toEqual(["a", "b"]);
+    expect(entry).toMatchObject({ attempts: 0, retryAt: 0 });
+  });
+
+  it("backs off transient failures, doubling up to a minute", () => {
+    let entries = enqueueOperation([], upsert("items", { id: "a" }));
+    const { id } = entries[0];
+    const delays = [0, 408, 429, 500, 503, 502, 504, 500].map((status) => {
+      entries = applyResult(entries, id, 0, failure(status));
+      return entries[0].retryAt - NOW;
+    });
+
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000]);
+    expect(entries[0]).toMatchObject({ attempts: 8, failed: false, error: "Request failed" });
+  });
+
+  it("marks an entry failed when the server refuses it", () => {
+    [400, 401, 403, 404, 409, 422].forEach((status) => {
+      const entries = enqueueOperation([], upsert("items", { id: "a" }));
+      const [entry] = applyResult(entries, entries[0].id, 0, failure(status, "Not allowed"));
+      expect(entry, String(status)).toMatchObject({
+        attempts: 1,
+        failed: true,
+        error: "Not allowed",
+        retryAt: 0,
+      });
+    });
+  });
+
+  it("leaves the other entries alone", () => {
+    let entries = enqueueOperation([], upsert("items", { id: "a" }));
+    entries = enqueueOperation(entries, upsert("lists", { id: "l1" }));
+    const next = applyResult(entries, entries[0].id, 0, failure(403));
+    expect(next[1]).toBe(entries[1]);
+  });
+});
+
+describe("failed entries", () => {
+  function withFailedHead() {
+    let entries = enqueueOperation([], upsert("items", { id: "a" }));
+    entries = applyResult(entries, entries[0].id, 0, failure(403, "Not allowed"));
+    return enqueueOperation(entries, upsert("items", { id: "b" }));
+  }
+
+  it("can be retried from scratch", () => {
+    const [retried, next] = retryFailedEntries(withFailedHead());
+    expect(retried).toMatchObject({ failed: false, attempts: 0, retryAt: 0, error: "" });
+    expect(next.failed).toBe(false);
+  });
+
+  it("can be discarded, keeping what came after", () => {
+    const entries = discardFailedEntries(withFailedHead());
+    expect(entries.map((entry) => entry.records)).toEqual([[{ id: "b" }]]);
+  });
+
+  it("show as failed rows until they're retried", () => {
+    const states = getRowStates(withFailedHead(), "items");
+    expect(Object.fromEntries(states)).toEqual({ a: "failed", b: "pending" });
+  });
+});
+
+describe("useSyncQueue", () => {
+  const userId = "user-1";
+  let repository;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    repository = {
+      update: vi.fn(() => Promise.resolve({ error: null, status: 200 })),
+      delete: vi.fn(() => Promise.resolve({ error: null, status: 200 })),
+      reorder: vi.fn(() => Promise.resolve({ error: null, status: 200 })),
+    };
+  });
+
+  afterEach(cleanup);
+
+  it("sends entries in order and empties the outbox", async () => {
+    const { result } = renderHook(() => useSyncQueue(repository, userId));
+    act(() => {
+      result.current.enqueue(upsert("items", { id: "a" }));
+      result.current.enqueue({ kind: "delete", collection: "items", ids: ["b"] });
+    });
+
+    await waitFor(() => expect(result.current.pendingCount).toBe(0));
+    expect(repository.update).toHaveBeenCalledWith("items", [{ id: "a" }]);
+    expect(repository.delete).toHaveBeenCalledWith("items", ["b"]);
+    expect(window.localStorage.getItem(outboxKey(userId))).toBeNull();
+  });
+
+  it("holds everything back behind a failed entry until it's retried", async () => {
+    let entries = enqueueOperation([], upsert("items", { id: "a" }));
+    entries = applyResult(entries, entries[0].id, 0, failure(403, "Not allowed"));
+    persistOutbox(userId, enqueueOperation(entries, upsert("lists", { id: "l1" })));
+
+    const { result } = renderHook(() => useSyncQueue(repository, userId));
+    expect(result.current).toMatchObject({
+      failedCount: 1,
+      pendingCount: 1,
+      lastError: "Not allowed",
+    });
+    await act(() => new Promise((resolve) => setTimeout(resolve, 20)));
+    expect(repository.update).not.toHaveBeenCalled();
+
+    act(() => result.current.retryFailed());
+    await waitFor(() => expect(loadOutbox(userId)).toEqual([]));
+    expect(repository.update.mock.calls.map(([collection]) => collection)).toEqual([
+      "items",
+      "lists",
+    ]);
+  });
+
+  it("keeps a transiently failed entry at the head for later", async () => {
+    repository.update.mockResolvedValue(failure(503, "Unavailable"));
+    const { result } = renderHook(() => useSyncQueue(repository, userId));
+    act(() => result.current.enqueue(upsert("items", { id: "a" })));
+
+    await waitFor(() => expect(loadOutbox(userId)[0]?.attempts).toBe(1));
+    expect(result.current).toMatchObject({ failedCount: 0, pendingCount: 1 });
+    expect(loadOutbox(userId)[0].retryAt).toBeGreaterThan(Date.now());
+    expect(repository.update).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,35 @@
+export const TAG_COLORS = [
+  "#7cffc4",
+  "#8ab4ff",
+  "#ffd68a",
+  "#ff9b9b",
+  "#d3a6ff",
+  "#7fe3ff",
+  "#ffb48a",
+  "#c4e17f",
+];
+
+export function normalizeTagName(name) {
+  return name.trim().replace(/^#/, "").replace(/\s+/g, " ");
+}
+
+export function findTagByName(tagsList, name) {
+  const wanted = normalizeTagName(name).toLowerCase();
+  return tagsList.find((tag) => tag.name.toLowerCase() === wanted) || null;
+}
+
+export function nextTagColor(tagsList) {
+  return TAG_COLORS[tagsList.length % TAG_COLORS.length];
+}
+
+// Swaps one tag for another on an item, without listing the same tag twice.
+export function replaceTagId(tagIds, fromId, intoId) {
+  if (!tagIds?.includes(fromId)) return tagIds ?? [];
+  const next = tagIds.filter((id) => id !== fromId);
+  return intoId && !next.includes(intoId) ? [...next, intoId] : next;
+}
+
+export function matchesTagFilter(item, tagFilter) {
+  if (!tagFilter.length) return true;
+  return tagFilter.some((id) => item.tagIds?.includes(id));
+}
@@ -0,0 +1,244 @@
+// Import and export of a single list. JSON is lossless; CSV and Markdown keep
+// text, completion and nesting (CSV also keeps due dates and tags).
+//
+// Parsed imports come back as rows of
+//   { content, isCompleted, dueAt, recurrence, priority, notes, createdAt, completedAt,
+//     tagNames, parentIndex }
+// where parentIndex points at an earlier row, plus the tags found ({ name, color }).
+
+import { normalizePriority } from "./priorities";
+import { normalizeRecurrence } from "./recurrence";
+import { buildRows } from "./tree";
+
+export const EXPORT_FORMATS = {
+  json: { label: "JSON", extension: "json", mime: "application/json" },
+  csv: { label: "CSV", extension: "csv", mime: "text/csv" },
+  markdown: { label: "Markdown", extension: "md", mime: "text/markdown" },
+};
+
+const CSV_COLUMNS = ["content", "completed", "depth", "position", "due_at", "tags"];
+const CHECKLIST_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s?(.*)$/;
+
+function tagNamesFor(item, tags) {
+  return (item.tagIds ?? [])
+    .map((id) => tags.find((tag) => tag.id === id)?.name)
+    .filter(Boolean);
+}
+
+export function exportJson(list, listItems, tags) {
+  const usedTagIds = new Set(listItems.flatMap((item) => item.tagIds ?? []));
+  return JSON.stringify(
+    {
+      version: 1,
+      list: { name: list.name },
+      tags: tags
+        .filter((tag) => usedTagIds.has(tag.id))
+        .map((tag) => ({ name: tag.name, color: tag.color })),
+      items: listItems.map((item) => ({
+        id: item.id,
+        parentId: item.parentId ?? null,
+        content: item.content,
+        isCompleted: item.isCompleted,
+        position: item.position,
+        dueAt: item.dueAt ?? null,
+        recurrence: item.recurrence ?? null,
+        priority: item.priority ?? 0,
+        notes: item.notes ?? "",
+        createdAt: item.createdAt ?? null,
+        completedAt: item.completedAt ?? null,
+        tags: tagNamesFor(item, tags),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function exportCsv(listItems, tags) {
+  const rows = buildRows(listItems, new Set()).map(({ item, depth }) =>
+    [
+      item.content,
+      item.isCompleted ? "true" : "false",
+      depth,
+      item.position,
+      item.dueAt ?? "",
+      tagNamesFor(item, tags).join(";"),
+    ]
+      .map(csvCell)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+export function exportMarkdown(list, listItems) {
+  const lines = buildRows(listItems, new Set()).map(
+    ({ item, depth }) => `${"  ".repeat(depth)}- [${item.isCompleted ? "x" : " "}] ${item.content}`
+  );
+  return [`# ${list.name}`, "", ...lines, ""].join("\n");
+}
+
+export function detectFormat(text, fileName = "") {
+  const extension = fileName.split(".").pop()?.toLowerCase();
+  if (extension === "json") return "json";
+  if (extension === "csv") return "csv";
+  if (extension === "md" || extension === "markdown") return "markdown";
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  if (trimmed.split(/\r?\n/).some((line) => CHECKLIST_PATTERN.test(line))) return "markdown";
+  return "csv";
+}
+
+// Turns a depth per row into parentIndex, the way an outline is read.
+function parentsFromDepths(rows) {
+  const stack = [];
+  return rows.map((row, index) => {
+    const depth = Math.min(row.depth, stack.length);
+    stack.length = depth;
+    const parentIndex = depth > 0 ? stack[depth - 1] : null;
+    stack.push(index);
+    const { depth: _depth, ...rest } = row;
+    return { ...rest, parentIndex };
+  });
+}
+
+function isTagName(name) {
+  return typeof name === "string" && Boolean(name.trim());
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const rawItems = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(rawItems)) throw new Error("JSON import needs an \"items\" array.");
+
+  const sorted = [...rawItems]
+    .filter((item) => item && typeof item.content === "string" && item.content.trim())
+    .map((item, index) => ({ item, index }))
+    .sort(
+      (a, b) => (a.item.position ?? a.index) - (b.item.position ?? b.index) || a.index - b.index
+    )
+    .map(({ item }) => item);
+  const indexById = new Map(sorted.map((item, index) => [item.id, index]));
+
+  return {
+    tags: Array.isArray(data.tags) ? data.tags.filter((tag) => isTagName(tag?.name)) : [],
+    items: sorted.map((item) => ({
+      content: item.content.trim(),
+      isCompleted: Boolean(item.isCompleted),
+      dueAt: item.dueAt ?? null,
+      recurrence: normalizeRecurrence(item.recurrence),
+      priority: normalizePriority(item.priority),
+      notes: typeof item.notes === "string" ? item.notes : "",
+      createdAt: item.createdAt ?? null,
+      completedAt: item.isCompleted ? item.completedAt ?? null : null,
+      tagNames: Array.isArray(item.tags) ? item.tags.filter(isTagName) : [],
+      parentIndex: item.parentId != null ? indexById.get(item.parentId) ?? null : null,
+    })),
+  };
+}
+
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim()));
+}
+
+function parseCsv(text) {
+  const [header, ...body] = parseCsvRows(text);
+  if (!header) return { tags: [], items: [] };
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const column = (name) => columns.indexOf(name);
+  // a file without our header is read as one item per line, text in the first column
+  const hasHeader = column("content") !== -1;
+  const dataRows = hasHeader ? body : [header, ...body];
+  const at = (row, name, fallback) => {
+    const index = column(name);
+    return hasHeader && index !== -1 ? row[index] ?? "" : fallback;
+  };
+
+  const rows = dataRows
+    .map((row) => ({
+      content: (hasHeader ? at(row, "content", "") : row[0] ?? "").trim(),
+      isCompleted: /^(true|1|yes|x)$/i.test(at(row, "completed", "").trim()),
+      depth: Math.max(0, Number.parseInt(at(row, "depth", "0"), 10) || 0),
+      dueAt: at(row, "due_at", "").trim() || null,
+      tagNames: at(row, "tags", "")
+        .split(";")
+        .map((name) => name.trim())
+        .filter(Boolean),
+    }))
+    .filter((row) => row.content);
+
+  return { tags: [], items: parentsFromDepths(rows) };
+}
+
+function parseMarkdown(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.replace(/\t/g, "  ").match(CHECKLIST_PATTERN);
+    if (!match || !match[3].trim()) return;
+    rows.push({
+      content: match[3].trim(),
+      isCompleted: match[2].toLowerCase() === "x",
+      depth: Math.floor(match[1].length / 2),
+      dueAt: null,
+      tagNames: [],
+    });
+  });
+  return { tags: [], items: parentsFromDepths(rows) };
+}
+
+export function parseImport(text, format) {
+  if (format === "json") return parseJson(text);
+  if (format === "markdown") return parseMarkdown(text);
+  return parseCsv(text);
+}
+
+export function downloadText(text, fileName, mime) {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
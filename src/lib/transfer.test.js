@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { exportJson, parseImport } from "./transfer";
+
+describe("parseImport JSON", () => {
+  it("reads back what exportJson wrote", () => {
+    const list = { id: "l1", name: "Home" };
+    const tags = [{ id: "t1", name: "chores", color: "#7cffc4" }];
+    const items = [
+      {
+        id: "a",
+        content: "Clean",
+        isCompleted: true,
+        position: 0,
+        tagIds: ["t1"],
+        completedAt: "2026-10-01T10:00:00.000Z",
+      },
+      { id: "b", content: "Kitchen", isCompleted: false, position: 1, parentId: "a" },
+    ];
+    const parsed = parseImport(exportJson(list, items, tags), "json");
+    expect(parsed.tags).toEqual([{ name: "chores", color: "#7cffc4" }]);
+    expect(parsed.items).toMatchObject([
+      { content: "Clean", tagNames: ["chores"], completedAt: "2026-10-01T10:00:00.000Z" },
+      { content: "Kitchen", parentIndex: 0, completedAt: null },
+    ]);
+  });
+
+  it("keeps only non-empty string tag names", () => {
+    const parsed = parseImport(
+      JSON.stringify({
+        items: [{ content: "a", tags: [1, null, "", " ", "home", { name: "x" }] }],
+        tags: [{ name: 5 }, { name: "" }, null, { name: "home", color: "#8ab4ff" }],
+      }),
+      "json"
+    );
+    expect(parsed.items[0].tagNames).toEqual(["home"]);
+    expect(parsed.tags).toEqual([{ name: "home", color: "#8ab4ff" }]);
+  });
+
+  it("rejects JSON that isn't an object or an array of items", () => {
+    const message = 'JSON import needs an "items" array.';
+    expect(() => parseImport("null", "json")).toThrow(message);
+    expect(() => parseImport("5", "json")).toThrow(message);
+    expect(() => parseImport('"items"', "json")).toThrow(message);
+    expect(() => parseImport('{"items":{}}', "json")).toThrow(message);
+  });
+
+  it("skips items without text", () => {
+    const parsed = parseImport('[null, 3, {"content": "  "}, {"content": "Keep"}]', "json");
+    expect(parsed.items.map((item) => item.content)).toEqual(["Keep"]);
+  });
+});
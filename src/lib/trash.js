@@ -0,0 +1,49 @@
+// Deleted items keep their row, marked with `deletedAt`, so they can go back
+// where they were. After TRASH_DAYS they're deleted for good.
+
+import { getDescendantIds } from "./tree";
+
+export const TRASH_DAYS = 30;
+const TRASH_MS = TRASH_DAYS * 24 * 60 * 60 * 1000;
+
+export function isTrashed(item) {
+  return Boolean(item.deletedAt);
+}
+
+export function isExpired(item, now = new Date()) {
+  const deletedAt = new Date(item.deletedAt).getTime();
+  return !Number.isNaN(deletedAt) && now.getTime() - deletedAt >= TRASH_MS;
+}
+
+/** Splits stored rows into live items, the trash, and the ids of trash that's too old to keep. */
+export function splitTrash(records, now = new Date()) {
+  const items = [];
+  const trash = [];
+  const expiredIds = [];
+  records.forEach((record) => {
+    if (!isTrashed(record)) items.push(record);
+    else if (isExpired(record, now)) expiredIds.push(record.id);
+    else trash.push(record);
+  });
+  return { items, trash, expiredIds };
+}
+
+/**
+ * Trashed items whose parent isn't in the trash too, newest first, each with
+ * the trashed subtasks that come back along with it.
+ */
+export function trashRoots(trash) {
+  const trashedIds = new Set(trash.map((item) => item.id));
+  return trash
+    .filter((item) => !trashedIds.has(item.parentId))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map((item) => ({ item, subtaskIds: getDescendantIds(trash, item.id) }));
+}
+
+/** How long until the trash empties itself of `item`, e.g. "12 days left". */
+export function describeTimeLeft(item, now = new Date()) {
+  const left = TRASH_MS - (now.getTime() - new Date(item.deletedAt).getTime());
+  const days = Math.max(0, Math.ceil(left / (24 * 60 * 60 * 1000)));
+  if (days <= 1) return "Less than a day left";
+  return `${days} days left`;
+}
@@ -0,0 +1,228 @@
+import { arrayMove } from "@dnd-kit/sortable";
+
+// Subtasks are stored flat: each item has an optional parentId and the array is
+// kept in pre-order (a parent, then its whole subtree), so per-list positions
+// still describe the full order of the tree.
+
+function groupChildren(itemsList) {
+  const ids = new Set(itemsList.map((item) => item.id));
+  const children = new Map();
+  itemsList.forEach((item) => {
+    const parentKey = item.parentId && item.parentId !== item.id && ids.has(item.parentId)
+      ? item.parentId
+      : null;
+    if (!children.has(parentKey)) children.set(parentKey, []);
+    children.get(parentKey).push(item);
+  });
+  return children;
+}
+
+/**
+ * Returns the items in pre-order with open items ahead of completed ones among
+ * every set of siblings. Items with a missing parent (or caught in a cycle)
+ * become top-level items.
+ */
+export function orderTree(itemsList) {
+  const children = groupChildren(itemsList);
+  const visited = new Set();
+  const result = [];
+
+  function visit(parentKey) {
+    const siblings = children.get(parentKey) || [];
+    const ordered = [
+      ...siblings.filter((item) => !item.isCompleted),
+      ...siblings.filter((item) => item.isCompleted),
+    ];
+    ordered.forEach((item) => {
+      if (visited.has(item.id)) return;
+      visited.add(item.id);
+      result.push(item);
+      visit(item.id);
+    });
+  }
+
+  visit(null);
+  itemsList.forEach((item) => {
+    if (visited.has(item.id)) return;
+    visited.add(item.id);
+    result.push({ ...item, parentId: null });
+    visit(item.id);
+  });
+
+  return result;
+}
+
+export function getDescendantIds(itemsList, id) {
+  const children = groupChildren(itemsList);
+  const result = new Set();
+  const stack = [...(children.get(id) || [])];
+  while (stack.length) {
+    const item = stack.pop();
+    if (result.has(item.id) || item.id === id) continue;
+    result.add(item.id);
+    stack.push(...(children.get(item.id) || []));
+  }
+  return [...result];
+}
+
+/** Parent first, up to the root. */
+export function getAncestorIds(itemsList, id) {
+  const byId = new Map(itemsList.map((item) => [item.id, item]));
+  const result = [];
+  for (let parentId = byId.get(id)?.parentId; parentId && !result.includes(parentId); ) {
+    result.push(parentId);
+    parentId = byId.get(parentId)?.parentId;
+  }
+  return result;
+}
+
+/**
+ * Rows to render for one list: { item, depth, hasChildren, done, total },
+ * skipping the descendants of collapsed items. done/total count all descendants.
+ */
+export function buildRows(itemsList, collapsedIds) {
+  const children = groupChildren(itemsList);
+  const rows = [];
+
+  function visit(parentKey, depth, hidden) {
+    let done = 0;
+    let total = 0;
+    (children.get(parentKey) || []).forEach((item) => {
+      const row = { item, depth, hasChildren: children.has(item.id), done: 0, total: 0 };
+      if (!hidden) rows.push(row);
+      const stats = visit(item.id, depth + 1, hidden || collapsedIds.has(item.id));
+      row.done = stats.done;
+      row.total = stats.total;
+      done += stats.done + (item.isCompleted ? 1 : 0);
+      total += stats.total + 1;
+    });
+    return { done, total };
+  }
+
+  visit(null, 0, false);
+  return rows;
+}
+
+// Makes the item the last child of the sibling right above it.
+export function indentItem(itemsList, id) {
+  const item = itemsList.find((i) => i.id === id);
+  if (!item) return null;
+  const siblings = itemsList.filter(
+    (i) => i.listId === item.listId && (i.parentId ?? null) === (item.parentId ?? null)
+  );
+  const index = siblings.findIndex((i) => i.id === id);
+  if (index <= 0) return null;
+  const parent = siblings[index - 1];
+  return orderTree(itemsList.map((i) => (i.id === id ? { ...i, parentId: parent.id } : i)));
+}
+
+// Moves the item out of its parent, to just after the parent.
+export function outdentItem(itemsList, id) {
+  const item = itemsList.find((i) => i.id === id);
+  if (!item?.parentId) return null;
+  const parent = itemsList.find((i) => i.id === item.parentId);
+  const nextParentId = parent?.parentId ?? null;
+  return orderTree(itemsList.map((i) => (i.id === id ? { ...i, parentId: nextParentId } : i)));
+}
+
+/**
+ * Where a dragged row lands: the row above it and the depth picked from how far
+ * it was dragged sideways, clamped to what the neighbours allow.
+ */
+export function projectDrop(rows, activeId, overId, offsetX, indentWidth) {
+  const activeIndex = rows.findIndex((row) => row.item.id === activeId);
+  const overIndex = rows.findIndex((row) => row.item.id === overId);
+  if (activeIndex < 0 || overIndex < 0) return null;
+
+  const moved = arrayMove(rows, activeIndex, overIndex);
+  const previous = moved[overIndex - 1] ?? null;
+  const next = moved[overIndex + 1] ?? null;
+  const wanted = rows[activeIndex].depth + Math.round(offsetX / indentWidth);
+  const maxDepth = previous ? previous.depth + 1 : 0;
+  const minDepth = next ? Math.min(next.depth, maxDepth) : 0;
+  const depth = Math.min(Math.max(wanted, minDepth), maxDepth);
+
+  let parentId = null;
+  for (let i = overIndex - 1; depth > 0 && i >= 0; i -= 1) {
+    if (moved[i].depth === depth) {
+      parentId = moved[i].item.parentId ?? null;
+      break;
+    }
+    if (moved[i].depth === depth - 1) {
+      parentId = moved[i].item.id;
+      break;
+    }
+  }
+
+  return {
+    depth,
+    parentId,
+    previousId: previous?.item.id ?? null,
+    nextId: next?.item.id ?? null,
+  };
+}
+
+/**
+ * Moves the item and its subtree to just after `previousId`, or just before
+ * `nextId` when dropped above the first rendered row (which need not be the
+ * first item of the list while a filter or search is on).
+ */
+export function moveSubtree(itemsList, id, previousId, parentId, nextId = null) {
+  const item = itemsList.find((i) => i.id === id);
+  if (!item) return itemsList;
+  const blockIds = new Set([id, ...getDescendantIds(itemsList, id)]);
+  if (previousId && blockIds.has(previousId)) return itemsList;
+
+  const block = itemsList
+    .filter((i) => blockIds.has(i.id))
+    .map((i) => (i.id === id ? { ...i, parentId } : i));
+  const rest = itemsList.filter((i) => !blockIds.has(i.id));
+
+  // orderTree regroups by parent, so only the order relative to the new siblings matters
+  let insertIndex;
+  if (previousId) {
+    insertIndex = rest.findIndex((i) => i.id === previousId) + 1;
+  } else if (nextId && rest.some((i) => i.id === nextId)) {
+    insertIndex = rest.findIndex((i) => i.id === nextId);
+  } else {
+    const firstIndex = rest.findIndex((i) => i.listId === item.listId);
+    insertIndex = firstIndex === -1 ? rest.length : firstIndex;
+  }
+
+  return orderTree([...rest.slice(0, insertIndex), ...block, ...rest.slice(insertIndex)]);
+}
+
+/** The selected items that aren't inside another selected item, in list order. */
+export function selectionRoots(itemsList, ids) {
+  const selected = new Set(ids);
+  const byId = new Map(itemsList.map((item) => [item.id, item]));
+  return itemsList.filter((item) => {
+    if (!selected.has(item.id)) return false;
+    const seen = new Set([item.id]);
+    for (let parentId = item.parentId; parentId && !seen.has(parentId); ) {
+      if (selected.has(parentId)) return false;
+      seen.add(parentId);
+      parentId = byId.get(parentId)?.parentId;
+    }
+    return true;
+  });
+}
+
+/** Moves several subtrees as one block, in their current order, to where moveSubtree would put the first. */
+export function moveSubtrees(itemsList, ids, previousId, parentId, nextId = null) {
+  let result = itemsList;
+  let afterId = previousId;
+  selectionRoots(itemsList, ids).forEach((root, index) => {
+    result = moveSubtree(result, root.id, afterId, parentId, index === 0 ? nextId : null);
+    afterId = root.id;
+  });
+  return result;
+}
+
+// Moves items to the top or bottom of their siblings, keeping their order.
+export function moveToEdge(itemsList, ids, edge) {
+  const selected = new Set(ids);
+  const picked = itemsList.filter((item) => selected.has(item.id));
+  const rest = itemsList.filter((item) => !selected.has(item.id));
+  return orderTree(edge === "top" ? [...picked, ...rest] : [...rest, ...picked]);
+}
@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+
+// Lists up to this long render every row; longer ones only render what's on screen.
+const WINDOW_MIN_ROWS = 150;
+// rows rendered past each edge of the screen, so arrow keys and a drag always find a neighbour
+const OVERSCAN_ROWS = 10;
+const INITIAL_ROWS = 40;
+
+// first index whose row ends below `y`
+function findRowAt(offsets, y) {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] > y) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+}
+
+/**
+ * Windowing for a list that scrolls with the page. Returns the ref for the
+ * list element and `slots` to render in order: `{ index }` for a row and
+ * `{ key, height }` for the space standing in for rows that aren't rendered.
+ * Rows need `data-item-id`; their heights are measured once they've rendered
+ * and estimated until then. Rows in `keepIds` stay rendered wherever they are,
+ * like the one being dragged.
+ */
+export default function useListWindow(rowIds, { estimate = 64, keepIds = [] } = {}) {
+  const listRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map());
+  const [view, setView] = useState({ start: 0, end: INITIAL_ROWS });
+  const isWindowed = rowIds.length > WINDOW_MIN_ROWS;
+
+  // offsets[i] is where row i starts, offsets[rowIds.length] where the list ends
+  const offsets = useMemo(() => {
+    const result = [0];
+    rowIds.forEach((id, index) => result.push(result[index] + (heights.get(id) ?? estimate)));
+    return result;
+  }, [rowIds, heights, estimate]);
+
+  const offsetsRef = useRef(offsets);
+  const rowIdsRef = useRef(rowIds);
+  useEffect(() => {
+    offsetsRef.current = offsets;
+    rowIdsRef.current = rowIds;
+  });
+
+  const update = useCallback(() => {
+    const list = listRef.current;
+    if (!list) return;
+    const rowOffsets = offsetsRef.current;
+    const count = rowOffsets.length - 1;
+    const top = -list.getBoundingClientRect().top;
+    const start = Math.max(0, findRowAt(rowOffsets, top) - OVERSCAN_ROWS);
+    const end = Math.min(count, findRowAt(rowOffsets, top + window.innerHeight) + 1 + OVERSCAN_ROWS);
+    setView((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, []);
+
+  useEffect(() => {
+    if (!isWindowed) return undefined;
+    let frame = null;
+    const schedule = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          update();
+        });
+      }
+    };
+    schedule();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+    };
+  }, [isWindowed, offsets, update]);
+
+  // A row's height is the distance to whatever follows it, so its margin counts too.
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!isWindowed || !list) return undefined;
+    const measured = [];
+    list.querySelectorAll(":scope > [data-item-id]").forEach((row) => {
+      const next = row.nextElementSibling;
+      if (!next) return;
+      const height = next.offsetTop - row.offsetTop;
+      if (height > 0 && heights.get(row.dataset.itemId) !== height) {
+        measured.push([row.dataset.itemId, height]);
+      }
+    });
+    if (!measured.length) return undefined;
+    const frame = requestAnimationFrame(() => setHeights((prev) => new Map([...prev, ...measured])));
+    return () => cancelAnimationFrame(frame);
+  });
+
+  /** Scrolls the page so the row at `id` gets rendered; false when it isn't in the list. */
+  const scrollToRow = useCallback((id) => {
+    const list = listRef.current;
+    const index = rowIdsRef.current.indexOf(id);
+    if (!list || index === -1) return false;
+    const listTop = list.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo({ top: listTop + offsetsRef.current[index] - window.innerHeight / 3 });
+    return true;
+  }, []);
+
+  const slots = useMemo(() => {
+    if (!isWindowed) return rowIds.map((id, index) => ({ index }));
+    const start = Math.min(view.start, rowIds.length);
+    const end = Math.min(Math.max(view.end, start), rowIds.length);
+    const shown = new Set();
+    for (let index = start; index < end; index += 1) shown.add(index);
+    keepIds.forEach((id) => {
+      const index = rowIds.indexOf(id);
+      if (index !== -1) shown.add(index);
+    });
+
+    const result = [];
+    let next = 0;
+    [...shown]
+      .sort((a, b) => a - b)
+      .forEach((index) => {
+        if (index > next) result.push({ key: `gap-${next}`, height: offsets[index] - offsets[next] });
+        result.push({ index });
+        next = index + 1;
+      });
+    if (next < rowIds.length) {
+      result.push({ key: `gap-${next}`, height: offsets[rowIds.length] - offsets[next] });
+    }
+    return result;
+  }, [isWindowed, rowIds, view, keepIds, offsets]);
+
+  return { listRef, slots, scrollToRow };
+}
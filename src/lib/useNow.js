@@ -0,0 +1,27 @@
+import { useCallback, useMemo, useSyncExternalStore } from "react";
+
+// The current time, rounded down to `stepMs`, re-rendering only the component
+// that asks for it, once per step. Ticks line up with the wall clock, so a
+// minute clock turns over on the minute. After `until` (a timestamp) it stops
+// ticking but still reads the time whenever the component renders anyway.
+export default function useNow(stepMs, { until = Infinity } = {}) {
+  const subscribe = useCallback(
+    (onTick) => {
+      let timer = null;
+      function schedule() {
+        const time = Date.now();
+        if (time >= until) return;
+        timer = setTimeout(() => {
+          onTick();
+          schedule();
+        }, stepMs - (time % stepMs));
+      }
+      schedule();
+      return () => clearTimeout(timer);
+    },
+    [stepMs, until]
+  );
+  const getTime = useCallback(() => Math.floor(Date.now() / stepMs) * stepMs, [stepMs]);
+  const time = useSyncExternalStore(subscribe, getTime);
+  return useMemo(() => new Date(time), [time]);
+}
@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  applyResult,
+  discardFailedEntries,
+  enqueueOperation,
+  loadOutbox,
+  outboxKey,
+  persistOutbox,
+  retryFailedEntries,
+  runOperation,
+} from "./syncQueue";
+
+function isBrowserOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+// `repository` is where entries are sent; the outbox itself is kept per user.
+export default function useSyncQueue(repository, userId) {
+  const [outbox, setOutbox] = useState(() => ({ userId, entries: loadOutbox(userId) }));
+  const [isOnline, setIsOnline] = useState(isBrowserOnline);
+  const userIdRef = useRef(userId);
+  const runningRef = useRef(null);
+
+  // switching accounts swaps in that account's outbox
+  if (outbox.userId !== userId) {
+    setOutbox({ userId, entries: loadOutbox(userId) });
+  }
+
+  const { entries } = outbox;
+
+  useEffect(() => {
+    userIdRef.current = userId;
+  }, [userId]);
+
+  // Storage is the source of truth: other tabs of the same account share the outbox,
+  // so every change re-reads it instead of trusting this tab's copy.
+  const update = useCallback((transform) => {
+    const currentUserId = userIdRef.current;
+    if (!currentUserId) return;
+    const next = transform(loadOutbox(currentUserId));
+    persistOutbox(currentUserId, next);
+    setOutbox({ userId: currentUserId, entries: next });
+  }, []);
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    const handleStorage = (event) => {
+      if (event.key !== outboxKey(userId)) return;
+      setOutbox({ userId, entries: loadOutbox(userId) });
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [userId]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOnline(true);
+      // retry right away instead of waiting out the backoff
+      update((current) => current.map((entry) => ({ ...entry, retryAt: 0 })));
+    };
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, [update]);
+
+  useEffect(() => {
+    if (!repository || !userId || !isOnline || runningRef.current) return undefined;
+    // a failed entry holds back everything after it until it's retried or discarded
+    const entry = entries[0];
+    if (!entry || entry.failed) return undefined;
+
+    const delay = Math.max(0, entry.retryAt - Date.now());
+    const timer = setTimeout(() => {
+      runningRef.current = entry.id;
+      Promise.resolve(runOperation(repository, entry))
+        .catch((error) => ({ error, status: 0 }))
+        .then((result) => {
+          runningRef.current = null;
+          if (userIdRef.current !== userId) return;
+          update((current) => applyResult(current, entry.id, entry.revision, result));
+        });
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [entries, isOnline, repository, update, userId]);
+
+  const enqueue = useCallback(
+    (operation) => update((current) => enqueueOperation(current, operation)),
+    [update]
+  );
+
+  const retryFailed = useCallback(() => update(retryFailedEntries), [update]);
+
+  const discardFailed = useCallback(() => update(discardFailedEntries), [update]);
+
+  const failedCount = useMemo(() => entries.filter((e) => e.failed).length, [entries]);
+
+  return {
+    entries,
+    isOnline,
+    pendingCount: entries.length - failedCount,
+    failedCount,
+    lastError: entries.find((e) => e.failed)?.error || "",
+    enqueue,
+    retryFailed,
+    discardFailed,
+  };
+}
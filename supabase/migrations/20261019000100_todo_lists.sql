@@ -0,0 +1,24 @@
+-- Named lists ("Work", "Home", ...) that todos belong to.
+create table if not exists public.todo_lists (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists todo_lists_user_id_idx on public.todo_lists (user_id, position);
+
+alter table public.todo_lists enable row level security;
+
+create policy "Users manage their own lists"
+  on public.todo_lists
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Existing rows keep a null list_id; the app moves them into the first list on load.
+alter table public.todos
+  add column if not exists list_id uuid references public.todo_lists (id) on delete cascade;
+
+create index if not exists todos_list_id_idx on public.todos (list_id, position);
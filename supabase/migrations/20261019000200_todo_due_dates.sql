@@ -0,0 +1,2 @@
+alter table public.todos
+  add column if not exists due_at timestamptz;
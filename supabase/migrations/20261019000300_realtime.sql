@@ -0,0 +1,3 @@
+-- Broadcast row changes so other tabs and devices of the same account stay in sync.
+alter publication supabase_realtime add table public.todos;
+alter publication supabase_realtime add table public.todo_lists;
@@ -0,0 +1,5 @@
+-- Subtasks: a todo may belong to another todo in the same list. Deleting a parent removes its subtree.
+alter table public.todos
+  add column if not exists parent_id uuid references public.todos (id) on delete cascade;
+
+create index if not exists todos_parent_id_idx on public.todos (parent_id);
@@ -0,0 +1,23 @@
+-- Free-form coloured tags. Items reference them through todos.tag_ids.
+create table if not exists public.todo_tags (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  color text not null default '#7cffc4',
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists todo_tags_user_name_idx on public.todo_tags (user_id, lower(name));
+
+alter table public.todo_tags enable row level security;
+
+create policy "Users manage their own tags"
+  on public.todo_tags
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+alter table public.todos
+  add column if not exists tag_ids uuid[] not null default '{}';
+
+alter publication supabase_realtime add table public.todo_tags;
@@ -0,0 +1,3 @@
+-- { "type": "daily" | "weekly" | "monthly" | "days", "weekdays": [...], "day": n, "every": n }
+alter table public.todos
+  add column if not exists recurrence jsonb;
@@ -0,0 +1,7 @@
+-- Positions become fractional so a moved row can sit between two others
+-- without renumbering the rest. Existing integer positions stay valid.
+alter table public.todos
+  alter column position type double precision using position::double precision;
+
+alter table public.todo_lists
+  alter column position type double precision using position::double precision;
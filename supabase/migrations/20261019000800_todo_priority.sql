@@ -0,0 +1,4 @@
+-- 0 none, 1 low, 2 medium, 3 high, 4 urgent
+alter table public.todos
+  add column if not exists priority smallint not null default 0
+    check (priority between 0 and 4);
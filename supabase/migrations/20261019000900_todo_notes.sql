@@ -0,0 +1,3 @@
+-- Markdown, rendered on the client
+alter table public.todos
+  add column if not exists notes text not null default '';
@@ -0,0 +1,181 @@
+-- Lists shared with other accounts. The owner keeps todo_lists.user_id; everyone
+-- else with access has a row here. Sharing adds a row for the owner too, so
+-- members can see who owns the list.
+create table if not exists public.todo_list_members (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.todo_lists (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  created_at timestamptz not null default now(),
+  unique (list_id, user_id)
+);
+
+create index if not exists todo_list_members_user_id_idx on public.todo_list_members (user_id);
+
+-- Security definer so the policies below can look at lists and members
+-- without running into their own row-level security.
+create or replace function public.can_view_list(p_list_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.todo_lists where id = p_list_id and user_id = auth.uid())
+    or exists (
+      select 1 from public.todo_list_members where list_id = p_list_id and user_id = auth.uid()
+    );
+$$;
+
+create or replace function public.can_edit_list(p_list_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.todo_lists where id = p_list_id and user_id = auth.uid())
+    or exists (
+      select 1 from public.todo_list_members
+      where list_id = p_list_id and user_id = auth.uid() and role in ('owner', 'editor')
+    );
+$$;
+
+-- Members: everyone on a list sees who else is on it. Owners remove anyone,
+-- members can remove themselves (leave). Invites go through invite_to_list.
+alter table public.todo_list_members enable row level security;
+
+create policy "List members see each other"
+  on public.todo_list_members
+  for select
+  using (public.can_view_list(list_id));
+
+create policy "Owners remove members, members leave"
+  on public.todo_list_members
+  for delete
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.todo_lists where id = list_id and user_id = auth.uid())
+  );
+
+-- Lists: members can read a shared list; renaming, moving and deleting stay with the owner.
+create policy "Members read shared lists"
+  on public.todo_lists
+  for select
+  using (public.can_view_list(id));
+
+-- Todos: viewers read, editors and owners write.
+alter table public.todos enable row level security;
+
+drop policy if exists "Users reach their own todos" on public.todos;
+create policy "Users reach their own todos"
+  on public.todos
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create policy "Members read todos of shared lists"
+  on public.todos
+  for select
+  using (public.can_view_list(list_id));
+
+create policy "Editors add todos to shared lists"
+  on public.todos
+  for insert
+  with check (public.can_edit_list(list_id));
+
+create policy "Editors change todos of shared lists"
+  on public.todos
+  for update
+  using (public.can_edit_list(list_id))
+  with check (public.can_edit_list(list_id));
+
+create policy "Editors delete todos of shared lists"
+  on public.todos
+  for delete
+  using (public.can_edit_list(list_id));
+
+-- Who added and who completed each item, filled in by the server so clients can't claim otherwise.
+alter table public.todos
+  add column if not exists created_by uuid references auth.users (id) on delete set null,
+  add column if not exists completed_by uuid references auth.users (id) on delete set null;
+
+create or replace function public.stamp_todo()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- a todo belongs to the owner of its list, whoever wrote it
+  if new.list_id is not null then
+    select user_id into new.user_id from public.todo_lists where id = new.list_id;
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.created_by := coalesce(auth.uid(), new.user_id);
+    new.completed_by := case when new.completed then auth.uid() end;
+  else
+    new.created_by := old.created_by;
+    new.completed_by := case
+      when not new.completed then null
+      when old.completed then old.completed_by
+      else auth.uid()
+    end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists stamp_todo on public.todos;
+create trigger stamp_todo
+  before insert or update on public.todos
+  for each row execute function public.stamp_todo();
+
+-- Invites an existing account by email, or changes their role. Only the owner
+-- may call it. It does tell the owner whether an email has an account.
+create or replace function public.invite_to_list(p_list_id uuid, p_email text, p_role text)
+returns setof public.todo_list_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_owner uuid;
+  v_user uuid;
+  v_email text := lower(trim(p_email));
+begin
+  if p_role not in ('editor', 'viewer') then
+    raise exception 'Role must be editor or viewer.';
+  end if;
+
+  select user_id into v_owner from public.todo_lists where id = p_list_id;
+  if v_owner is null or v_owner <> auth.uid() then
+    raise exception 'Only the owner of a list can share it.';
+  end if;
+
+  select id into v_user from auth.users where lower(email) = v_email;
+  if v_user is null then
+    raise exception 'No account uses %.', v_email;
+  end if;
+  if v_user = v_owner then
+    raise exception 'You already own this list.';
+  end if;
+
+  insert into public.todo_list_members (list_id, user_id, email, role)
+    select p_list_id, v_owner, lower(email), 'owner' from auth.users where id = v_owner
+    on conflict (list_id, user_id) do nothing;
+
+  return query
+    insert into public.todo_list_members (list_id, user_id, email, role)
+    values (p_list_id, v_user, v_email, p_role)
+    on conflict (list_id, user_id) do update set role = excluded.role
+    returning *;
+end;
+$$;
+
+revoke all on function public.invite_to_list(uuid, text, text) from public;
+grant execute on function public.invite_to_list(uuid, text, text) to authenticated;
+
+alter publication supabase_realtime add table public.todo_list_members;
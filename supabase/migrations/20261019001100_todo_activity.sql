@@ -0,0 +1,31 @@
+-- What happened to each item and who did it. Clients write the entries; rows
+-- are never changed or removed, except along with their list. item_id has no
+-- foreign key so entries outlive a deleted item.
+create table if not exists public.todo_activity (
+  id uuid primary key,
+  item_id uuid not null,
+  list_id uuid not null references public.todo_lists (id) on delete cascade,
+  kind text not null check (kind in ('create', 'edit', 'complete', 'reopen', 'move', 'delete')),
+  content text not null,
+  previous_content text,
+  from_list_id uuid,
+  actor_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists todo_activity_list_id_created_at_idx
+  on public.todo_activity (list_id, created_at desc);
+
+alter table public.todo_activity enable row level security;
+
+create policy "List members read activity"
+  on public.todo_activity
+  for select
+  using (public.can_view_list(list_id));
+
+create policy "Editors log their own activity"
+  on public.todo_activity
+  for insert
+  with check (actor_id = auth.uid() and public.can_edit_list(list_id));
+
+alter publication supabase_realtime add table public.todo_activity;
@@ -0,0 +1,34 @@
+-- Deleting an item moves it to the trash; it's removed for good after 30 days.
+alter table public.todos
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists todos_deleted_at_idx
+  on public.todos (deleted_at)
+  where deleted_at is not null;
+
+alter table public.todo_activity
+  drop constraint if exists todo_activity_kind_check,
+  add constraint todo_activity_kind_check
+    check (kind in ('create', 'edit', 'complete', 'reopen', 'move', 'delete', 'restore'));
+
+create or replace function public.purge_todo_trash()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  delete from public.todos where deleted_at < now() - interval '30 days';
+$$;
+
+revoke all on function public.purge_todo_trash() from public;
+
+-- The app also purges when it loads. Where pg_cron is available, a nightly job
+-- catches accounts nobody opens.
+do $$
+begin
+  if exists (select 1 from pg_available_extensions where name = 'pg_cron') then
+    create extension if not exists pg_cron;
+    perform cron.schedule('purge-todo-trash', '17 3 * * *', 'select public.purge_todo_trash()');
+  end if;
+end;
+$$;
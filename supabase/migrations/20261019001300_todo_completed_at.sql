@@ -0,0 +1,34 @@
+-- When each item was completed, for the statistics. Clients send the time they
+-- completed it, which may be well before an offline change syncs; it's cleared
+-- whenever the item is open.
+alter table public.todos
+  add column if not exists completed_at timestamptz;
+
+create or replace function public.stamp_todo_completed_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.completed_at := case
+    when not new.completed then null
+    when tg_op = 'UPDATE' and old.completed then coalesce(old.completed_at, new.completed_at)
+    else coalesce(new.completed_at, now())
+  end;
+  return new;
+end;
+$$;
+
+drop trigger if exists stamp_todo_completed_at on public.todos;
+create trigger stamp_todo_completed_at
+  before insert or update on public.todos
+  for each row execute function public.stamp_todo_completed_at();
+
+-- Items completed before this have their time from the activity log where there is one.
+update public.todos t
+set completed_at = (
+  select max(a.created_at)
+  from public.todo_activity a
+  where a.item_id = t.id and a.kind = 'complete'
+)
+where t.completed and t.completed_at is null;
@@ -0,0 +1,15 @@
+-- Tags on items of a shared list can be read by everyone on that list, so a
+-- collaborator sees the owner's tags and the other way round. Changing and
+-- deleting a tag stays with the person who made it.
+create index if not exists todos_tag_ids_idx on public.todos using gin (tag_ids);
+
+drop policy if exists "Members read tags on shared lists" on public.todo_tags;
+create policy "Members read tags on shared lists"
+  on public.todo_tags
+  for select
+  using (
+    exists (
+      select 1 from public.todos t
+      where t.tag_ids @> array[todo_tags.id] and public.can_view_list(t.list_id)
+    )
+  );